@@ -0,0 +1,67 @@
+// HTML advance notice sent to a customer once their mandate has been exported.
+// The default template applies to every council; a council entry replaces it.
+// Colours, letterhead address and telephone number come from the council's
+// branding in the registry. The PDF copy is laid out in code from the same
+// details (lambdas/shared/advance-notice.js).
+//
+// Placeholders (already HTML-escaped where they are text): {councilName}
+// {brandColour} {councilAddress} {telephone} {contactEmail} {noticeDate}
+// {customerName} {customerAddress} {customerNumber} {reference}
+// {serviceUserNumber} {scheduleRows} {instalmentCount} {total} {guarantee}
+
+const TEMPLATES = {
+    default: `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>{councilName} - Advance notice of Direct Debit collections</title>
+<style>
+    body { font-family: Arial, sans-serif; color: #0b0c0c; max-width: 760px; margin: 0 auto; padding: 24px; }
+    header { border-bottom: 6px solid {brandColour}; padding-bottom: 12px; margin-bottom: 24px; }
+    header h1 { color: {brandColour}; margin: 0 0 8px; }
+    .letterhead, .recipient { line-height: 1.4; }
+    .recipient { margin: 24px 0; }
+    table { border-collapse: collapse; width: 100%; margin: 16px 0; }
+    th, td { border-bottom: 1px solid #b1b4b6; padding: 6px 8px; text-align: left; }
+    th { background: {brandColour}; color: #ffffff; }
+    td.amount, th.amount { text-align: right; }
+    tfoot td { font-weight: bold; }
+    .guarantee { border: 2px solid #0b0c0c; padding: 12px 16px; margin-top: 24px; font-size: 0.9em; }
+</style>
+</head>
+<body>
+<header>
+    <h1>{councilName}</h1>
+    <div class="letterhead">{councilAddress}<br>Telephone: {telephone}<br>Email: {contactEmail}</div>
+</header>
+<p>{noticeDate}</p>
+<div class="recipient">{customerName}<br>{customerAddress}</div>
+<h2>Advance notice of Direct Debit collections</h2>
+<p>Dear {customerName},</p>
+<p>Your Direct Debit instruction has been set up. This notice confirms the amounts and dates we will collect from your bank or building society account.</p>
+<p>
+    Customer number: {customerNumber}<br>
+    Direct Debit reference: {reference}<br>
+    Service user number: {serviceUserNumber}
+</p>
+<table>
+    <thead>
+        <tr><th>Instalment</th><th>Collection date</th><th class="amount">Amount</th></tr>
+    </thead>
+    <tbody>
+{scheduleRows}
+    </tbody>
+    <tfoot>
+        <tr><td colspan="2">Total ({instalmentCount} instalments)</td><td class="amount">{total}</td></tr>
+    </tfoot>
+</table>
+<p>{councilName} will appear against these collections on your bank statement. If anything on this notice is wrong, please contact us before the first collection date.</p>
+<div class="guarantee">{guarantee}</div>
+</body>
+</html>
+`
+};
+
+module.exports = {
+    TEMPLATES
+};
@@ -0,0 +1,106 @@
+// Bacs Standard 18 layouts used for AUDDIS (0N new instruction) files.
+// Labels are 80 characters and data records 100 characters. HDR1/EOF1 and
+// HDR2/EOF2 share a layout, with the label identifier supplied as a value.
+// Numeric fields are right-aligned and zero-filled.
+
+module.exports = {
+    vol1: {
+        name: 'Standard 18 VOL1',
+        recordLength: 80,
+        fields: [
+            { name: 'labelId', start: 1, length: 4, value: 'VOL1' },
+            { name: 'volumeSerialNumber', start: 5, length: 6, align: 'right', pad: '0', source: 'volumeSerialNumber' },
+            { name: 'accessibility', start: 11, length: 1 },
+            { name: 'reserved1', start: 12, length: 26 },
+            // Owner identification: four spaces, the service user number, four spaces
+            { name: 'ownerPrefix', start: 38, length: 4 },
+            { name: 'serviceUserNumber', start: 42, length: 6, source: 'serviceUserNumber' },
+            { name: 'ownerSuffix', start: 48, length: 4 },
+            { name: 'reserved2', start: 52, length: 28 },
+            { name: 'labelStandardLevel', start: 80, length: 1, value: '1' }
+        ]
+    },
+    fileHeader1: {
+        name: 'Standard 18 HDR1/EOF1',
+        recordLength: 80,
+        fields: [
+            { name: 'labelId', start: 1, length: 4, source: 'labelId' },
+            // File identifier: 'A', service user number, 'S', two spaces, '1', service user number
+            { name: 'fileIdPrefix', start: 5, length: 1, value: 'A' },
+            { name: 'fileIdServiceUserNumber', start: 6, length: 6, source: 'serviceUserNumber' },
+            { name: 'fileIdSeparator', start: 12, length: 4, value: 'S  1' },
+            { name: 'fileIdServiceUserNumberRepeat', start: 16, length: 6, source: 'serviceUserNumber' },
+            { name: 'fileSetIdentification', start: 22, length: 6, align: 'right', pad: '0', source: 'volumeSerialNumber' },
+            { name: 'fileSectionNumber', start: 28, length: 4, value: '0001' },
+            { name: 'fileSequenceNumber', start: 32, length: 4, value: '0001' },
+            { name: 'generationNumber', start: 36, length: 4 },
+            { name: 'generationVersionNumber', start: 40, length: 2 },
+            { name: 'creationDate', start: 42, length: 6, align: 'right', source: 'creationDate' },
+            { name: 'expirationDate', start: 48, length: 6, align: 'right', source: 'expirationDate' },
+            { name: 'accessibility', start: 54, length: 1 },
+            { name: 'blockCount', start: 55, length: 6, value: '000000' },
+            { name: 'systemCode', start: 61, length: 13 },
+            { name: 'reserved', start: 74, length: 7 }
+        ]
+    },
+    fileHeader2: {
+        name: 'Standard 18 HDR2/EOF2',
+        recordLength: 80,
+        fields: [
+            { name: 'labelId', start: 1, length: 4, source: 'labelId' },
+            { name: 'recordFormat', start: 5, length: 1, value: 'F' },
+            { name: 'blockLength', start: 6, length: 5, value: '02000' },
+            { name: 'recordLength', start: 11, length: 5, value: '00100' },
+            { name: 'reserved1', start: 16, length: 35 },
+            { name: 'bufferOffset', start: 51, length: 2, value: '00' },
+            { name: 'reserved2', start: 53, length: 28 }
+        ]
+    },
+    userHeader: {
+        name: 'Standard 18 UHL1',
+        recordLength: 80,
+        fields: [
+            { name: 'labelId', start: 1, length: 4, value: 'UHL1' },
+            { name: 'processingDate', start: 5, length: 6, align: 'right', source: 'processingDate' },
+            { name: 'receivingPartyId', start: 11, length: 6, value: '999999' },
+            { name: 'reserved1', start: 17, length: 4 },
+            { name: 'currencyCode', start: 21, length: 2, value: '00' },
+            { name: 'countryCode', start: 23, length: 6, value: '000000' },
+            { name: 'workCode', start: 29, length: 9, value: '1 DAILY' },
+            { name: 'fileNumber', start: 38, length: 3, align: 'right', pad: '0', source: 'fileNumber' },
+            { name: 'reserved2', start: 41, length: 7 },
+            { name: 'auditPrintIdentifier', start: 48, length: 7 },
+            { name: 'reserved3', start: 55, length: 26 }
+        ]
+    },
+    auddisInstruction: {
+        name: 'Standard 18 AUDDIS 0N',
+        recordLength: 100,
+        fields: [
+            { name: 'destinationSortCode', start: 1, length: 6, source: 'sortCode' },
+            { name: 'destinationAccountNumber', start: 7, length: 8, source: 'accountNumber' },
+            { name: 'destinationAccountType', start: 15, length: 1, value: '0' },
+            { name: 'transactionCode', start: 16, length: 2, value: '0N' },
+            { name: 'originatingSortCode', start: 18, length: 6, source: 'originatingSortCode' },
+            { name: 'originatingAccountNumber', start: 24, length: 8, source: 'originatingAccountNumber' },
+            { name: 'freeFormat', start: 32, length: 4 },
+            { name: 'amount', start: 36, length: 11, value: '00000000000' },
+            { name: 'serviceUserName', start: 47, length: 18, source: 'serviceUserName' },
+            { name: 'reference', start: 65, length: 18, source: 'reference' },
+            { name: 'destinationAccountName', start: 83, length: 18, source: 'accountName' }
+        ]
+    },
+    userTrailer: {
+        name: 'Standard 18 UTL1',
+        recordLength: 80,
+        fields: [
+            { name: 'labelId', start: 1, length: 4, value: 'UTL1' },
+            { name: 'debitValueTotal', start: 5, length: 13, value: '0000000000000' },
+            { name: 'creditValueTotal', start: 18, length: 13, value: '0000000000000' },
+            { name: 'debitItemCount', start: 31, length: 7, value: '0000000' },
+            { name: 'creditItemCount', start: 38, length: 7, value: '0000000' },
+            { name: 'ddiItemCount', start: 45, length: 7, align: 'right', pad: '0', source: 'instructionCount' },
+            { name: 'reserved', start: 52, length: 29 }
+        ]
+    }
+};
@@ -0,0 +1,49 @@
+// Browser-safe part of the council registry: what the web forms need to check
+// a customer number before submitting. This file is served publicly with the
+// forms, so it must only ever hold these fields - everything else belongs in
+// config/councils.js, which adds the server-side settings to these entries.
+//
+// Loaded with require() by config/councils.js and with a <script> tag by the
+// forms, where it is exposed as window.Councils.
+(function (root) {
+    const PUBLIC_COUNCILS = {
+        'council-a': {
+            id: 'council-a',
+            name: 'Council A',
+            customerNumberPattern: '^1000\\d{7}$',
+            customerNumberPrefix: '1000',
+            customerNumberLength: 11,
+            exampleCustomerNumber: '10001234567'
+        },
+        'council-b': {
+            id: 'council-b',
+            name: 'Council B',
+            customerNumberPattern: '^2000\\d{7}$',
+            customerNumberPrefix: '2000',
+            customerNumberLength: 11,
+            exampleCustomerNumber: '20001234567'
+        }
+    };
+
+    // Function to list every registered council
+    function listCouncils() {
+        return Object.values(PUBLIC_COUNCILS);
+    }
+
+    // Function to get a council by id (e.g. 'council-a')
+    function getCouncil(id) {
+        return Object.prototype.hasOwnProperty.call(PUBLIC_COUNCILS, id) ? PUBLIC_COUNCILS[id] : undefined;
+    }
+
+    const registry = {
+        PUBLIC_COUNCILS,
+        listCouncils,
+        getCouncil
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = registry;
+    } else {
+        root.Councils = registry;
+    }
+})(this);
@@ -0,0 +1,301 @@
+// Council (tenant) registry used by the lambdas. Onboarding a council means
+// adding its entry here and in config/councils-public.js - nothing else in
+// the codebase should hard-code customer number prefixes, CSV names, secret
+// paths, verification URLs or origins.
+//
+// The customer number rules the forms need live in config/councils-public.js,
+// the only part of the registry served to browsers; this file holds the
+// server-side settings and must never be published with the forms.
+//
+// Secret paths and redirect URLs contain {environment} and {verificationHost}
+// placeholders, filled in for the deployment environment by
+// lambdas/shared/environment-config.js.
+
+const { PUBLIC_COUNCILS } = require('./councils-public');
+const erpLayout = require('./erp-layout');
+
+// Server-side settings of each council, added to its entry in config/councils-public.js
+const COUNCIL_SETTINGS = {
+    'council-a': {
+        sourceCsv: 'COUNCIL_A_CUSTOMER_LIST.CSV',
+        // CSV header (or zero-based column index) for each customers table column;
+        // unmapped profile columns are left empty
+        columnMapping: {
+            customer_number: 'CUSTOMER_NUMBER',
+            postcode: 'POSTCODE',
+            customer_name: 'NAME',
+            address_line1: 'ADDRESS_1',
+            address_line2: 'ADDRESS_2',
+            address_line3: 'ADDRESS_3',
+            account_type: 'ACCOUNT_TYPE',
+            balance_band: 'BALANCE_BAND'
+        },
+        sharedSecretPath: '/forms/council-a/{environment}/ThirdPartySharedSecret',
+        webhookSecretPath: '/forms/council-a/{environment}/WebhookSigningSecret',
+        validationTokenSecretPath: '/forms/council-a/{environment}/ValidationTokenSecret',
+        // eData encryption agreed with the verification provider: 'cbc' (legacy, unauthenticated),
+        // 'gcm' or 'cbc-hmac'; the authenticated modes need a versioned shared secret
+        encryption: {
+            mode: 'cbc'
+        },
+        // Third-party verification redirect for each form type (the form_type values the
+        // form processor accepts); see lambdas/shared/redirect-template.js for the fields
+        redirectTemplates: {
+            user: {
+                baseUrl: '{verificationHost}/forms/council-a/customer',
+                fields: ['customer_number', 'postcode', 'email', 'submission_id', 'callback_url',
+                    'customer_name', 'address_line1', 'address_line2', 'address_line3', 'dd_plan_reference'],
+                flags: {
+                    showddplanreference: 'visible',
+                    showdob: 'hidden',
+                    showmobile: 'hidden'
+                }
+            },
+            advisor: {
+                baseUrl: '{verificationHost}/forms/council-a/agent',
+                fields: ['customer_number', 'postcode', 'email', 'submission_id', 'callback_url',
+                    'customer_name', 'address_line1', 'address_line2', 'address_line3', 'dd_plan_reference'],
+                flags: {
+                    showddplanfields: 'hidden',
+                    applyingascompany: 'false',
+                    showapplyingascompanycheck: 'hidden',
+                    showdob: 'hidden',
+                    showmobile: 'hidden'
+                }
+            }
+        },
+        // Form origins allowed in every environment (config/environments.js can add more)
+        allowedOrigins: [
+            'https://forms.council-a.gov.uk'
+        ],
+        export: {
+            prefix: 'council-a/',
+            // {date} is the run date as YYYYMMDD, {sequence} the 6-digit file sequence number
+            fileNameTemplate: 'DIRECT_DEBIT_EXPORT_{date}_{sequence}.txt'
+        },
+        // Standard 18 AUDDIS file sent to Bacs alongside the ERP export
+        bacs: {
+            serviceUserNumber: '100001',
+            serviceUserName: 'COUNCIL A',
+            originatingSortCode: '400000',
+            originatingAccountNumber: '11111111',
+            fileNameTemplate: 'AUDDIS_{date}_{sequence}.txt'
+        },
+        // Customer load gates (percentages): the whole file is rejected if too many rows
+        // are invalid or the valid row count drops too far below the live table's.
+        // These take precedence over the DQ_* environment variables; omit one to use them.
+        dataQuality: {
+            maxRejectPercent: 5,
+            maxRowCountDropPercent: 20
+        },
+        // What the form processor does when the customer already has an approved or
+        // exported mandate: 'block' refuses the submission, 'warn' asks the customer to confirm first
+        existingMandatePolicy: 'block',
+        // Sender of the confirmation emails; replies (and the contact address in them) go to replyTo
+        email: {
+            from: 'Council A Direct Debits <direct-debits@council-a.gov.uk>',
+            replyTo: 'income@council-a.gov.uk'
+        },
+        // First collections are taken on this day of the month, once the customer
+        // has had noticeWorkingDays working days' notice, and the balance is
+        // collected in instalments monthly collections (the plan Council A's ERP runs)
+        collection: {
+            noticeWorkingDays: 10,
+            dayOfMonth: 1,
+            instalments: 10
+        },
+        // Letterhead of the advance notices
+        branding: {
+            colour: '#1d70b8',
+            address: ['Council A', 'Income Team', 'Town Hall', 'High Street', 'AB1 2CD'],
+            telephone: '0300 000 0001'
+        }
+    },
+    'council-b': {
+        sourceCsv: 'COUNCIL_B_CUSTOMER_LIST.CSV',
+        // CSV header (or zero-based column index) for each customers table column;
+        // unmapped profile columns are left empty
+        columnMapping: {
+            customer_number: 'CUSTOMER_NUMBER',
+            postcode: 'POSTCODE',
+            customer_name: 'NAME',
+            address_line1: 'ADDRESS_1',
+            address_line2: 'ADDRESS_2',
+            address_line3: 'ADDRESS_3',
+            account_type: 'ACCOUNT_TYPE',
+            balance_band: 'BALANCE_BAND'
+        },
+        sharedSecretPath: '/forms/council-b/{environment}/ThirdPartySharedSecret',
+        webhookSecretPath: '/forms/council-b/{environment}/WebhookSigningSecret',
+        validationTokenSecretPath: '/forms/council-b/{environment}/ValidationTokenSecret',
+        // eData encryption agreed with the verification provider: 'cbc' (legacy, unauthenticated),
+        // 'gcm' or 'cbc-hmac'; the authenticated modes need a versioned shared secret
+        encryption: {
+            mode: 'cbc'
+        },
+        // Third-party verification redirect for each form type (the form_type values the
+        // form processor accepts); see lambdas/shared/redirect-template.js for the fields
+        redirectTemplates: {
+            user: {
+                baseUrl: '{verificationHost}/forms/council-b/customer',
+                fields: ['customer_number', 'postcode', 'email', 'submission_id', 'callback_url',
+                    'customer_name', 'address_line1', 'address_line2', 'address_line3', 'dd_plan_reference'],
+                flags: {
+                    showddplanreference: 'visible',
+                    showdob: 'hidden',
+                    showmobile: 'hidden'
+                }
+            },
+            advisor: {
+                baseUrl: '{verificationHost}/forms/council-b/agent',
+                fields: ['customer_number', 'postcode', 'email', 'submission_id', 'callback_url',
+                    'customer_name', 'address_line1', 'address_line2', 'address_line3', 'dd_plan_reference'],
+                flags: {
+                    showddplanfields: 'hidden',
+                    applyingascompany: 'false',
+                    showapplyingascompanycheck: 'hidden',
+                    showdob: 'hidden',
+                    showmobile: 'hidden'
+                }
+            }
+        },
+        // Form origins allowed in every environment (config/environments.js can add more)
+        allowedOrigins: [
+            'https://forms.council-b.gov.uk'
+        ],
+        export: {
+            prefix: 'council-b/',
+            // {date} is the run date as YYYYMMDD, {sequence} the 6-digit file sequence number
+            fileNameTemplate: 'DIRECT_DEBIT_EXPORT_{date}_{sequence}.txt'
+        },
+        // Standard 18 AUDDIS file sent to Bacs alongside the ERP export
+        bacs: {
+            serviceUserNumber: '100002',
+            serviceUserName: 'COUNCIL B',
+            originatingSortCode: '400000',
+            originatingAccountNumber: '22222222',
+            fileNameTemplate: 'AUDDIS_{date}_{sequence}.txt'
+        },
+        // Customer load gates (percentages): the whole file is rejected if too many rows
+        // are invalid or the valid row count drops too far below the live table's.
+        // These take precedence over the DQ_* environment variables; omit one to use them.
+        dataQuality: {
+            maxRejectPercent: 5,
+            maxRowCountDropPercent: 20
+        },
+        // What the form processor does when the customer already has an approved or
+        // exported mandate: 'block' refuses the submission, 'warn' asks the customer to confirm first
+        existingMandatePolicy: 'block',
+        // Sender of the confirmation emails; replies (and the contact address in them) go to replyTo
+        email: {
+            from: 'Council B Direct Debits <direct-debits@council-b.gov.uk>',
+            replyTo: 'income@council-b.gov.uk'
+        },
+        // First collections are taken on this day of the month, once the customer
+        // has had noticeWorkingDays working days' notice. No advance notices are
+        // generated until instalments is set (see collection-schedule.js).
+        collection: {
+            noticeWorkingDays: 10,
+            dayOfMonth: 15
+        },
+        // Letterhead of the advance notices
+        branding: {
+            colour: '#00703c',
+            address: ['Council B', 'Revenues Service', 'Civic Centre', 'Market Square', 'EF3 4GH'],
+            telephone: '0300 000 0002'
+        }
+    }
+};
+
+const COUNCILS = {};
+Object.entries(COUNCIL_SETTINGS).forEach(([id, settings]) => {
+    if (!PUBLIC_COUNCILS[id]) {
+        throw new Error(`Council '${id}' has no entry in config/councils-public.js`);
+    }
+    COUNCILS[id] = { ...PUBLIC_COUNCILS[id], ...settings };
+});
+Object.keys(PUBLIC_COUNCILS).forEach(id => {
+    if (!COUNCIL_SETTINGS[id]) {
+        throw new Error(`Council '${id}' in config/councils-public.js has no server-side settings`);
+    }
+});
+
+const REQUIRED_FIELDS = [
+    'id',
+    'name',
+    'customerNumberPattern',
+    'customerNumberPrefix',
+    'sourceCsv',
+    'sharedSecretPath',
+    'webhookSecretPath',
+    'validationTokenSecretPath',
+    'redirectTemplates',
+    'allowedOrigins',
+    'export',
+    'email'
+];
+
+// Council ids are written to the ERP header and trailer council fields, the narrowest place
+// they are stored (the customer load change log's service column holds 64), and the export
+// never truncates them, so a longer id is refused here rather than when its first file is built
+const MAX_COUNCIL_ID_LENGTH = Math.min(...[erpLayout.header, erpLayout.trailer]
+    .map(layout => layout.fields.find(field => field.source === 'council').length));
+
+// Fail at load time rather than on the first request that hits a bad entry
+Object.entries(COUNCILS).forEach(([id, council]) => {
+    if (id.length > MAX_COUNCIL_ID_LENGTH) {
+        throw new Error(`Council '${id}' has an id longer than ${MAX_COUNCIL_ID_LENGTH} characters`);
+    }
+    const missing = REQUIRED_FIELDS.filter(field => council[field] === undefined);
+    if (missing.length > 0) {
+        throw new Error(`Council '${id}' is missing required fields: ${missing.join(', ')}`);
+    }
+    if (council.id !== id) {
+        throw new Error(`Council '${id}' has mismatched id '${council.id}'`);
+    }
+    if (!council.email.from) {
+        throw new Error(`Council '${id}' has no email sender`);
+    }
+    if (council.encryption && !['cbc', 'gcm', 'cbc-hmac'].includes(council.encryption.mode)) {
+        throw new Error(`Council '${id}' has unsupported encryption mode '${council.encryption.mode}'`);
+    }
+});
+
+const patterns = {};
+Object.values(COUNCILS).forEach(council => {
+    patterns[council.id] = new RegExp(council.customerNumberPattern);
+});
+
+// Function to list every registered council
+function listCouncils() {
+    return Object.values(COUNCILS);
+}
+
+// Function to get a council by id (e.g. 'council-a')
+function getCouncil(id) {
+    return Object.prototype.hasOwnProperty.call(COUNCILS, id) ? COUNCILS[id] : undefined;
+}
+
+// Function to find the council that owns a customer number
+function findCouncilByCustomerNumber(customerNumber) {
+    return listCouncils().find(council => patterns[council.id].test(customerNumber));
+}
+
+// Function to find the council whose customer list is stored under an S3 key
+function findCouncilBySourceCsv(key) {
+    return listCouncils().find(council => council.sourceCsv === key);
+}
+
+// Function to check a customer number against a single council's pattern
+function matchesCouncil(council, customerNumber) {
+    return patterns[council.id].test(customerNumber);
+}
+
+module.exports = {
+    COUNCILS,
+    listCouncils,
+    getCouncil,
+    findCouncilByCustomerNumber,
+    findCouncilBySourceCsv,
+    matchesCouncil
+};
@@ -0,0 +1,47 @@
+// Confirmation emails sent when a verification callback approves or fails a
+// submission. The default templates apply to every council; a council entry
+// overrides the subject or text of an outcome. The HTML part is generated
+// from the text (blank lines separate paragraphs).
+//
+// Placeholders: {customerName} {councilName} {customerNumber} {reference}
+// {serviceUserNumber} {accountHolderName} {sortCode} {accountNumber}
+// {firstCollectionDate} {guarantee} {contactEmail}
+// ({guarantee} is the Direct Debit Guarantee from config/direct-debit-guarantee.js)
+// Bank details are masked to their last digits before they reach a template.
+
+const TEMPLATES = {
+    default: {
+        approved: {
+            subject: 'Your Direct Debit with {councilName} has been set up',
+            text: `Dear {customerName},
+
+Thank you for setting up a Direct Debit with {councilName}. Please check the details below and keep this email for your records.
+
+Customer number: {customerNumber}
+Direct Debit reference: {reference}
+Service user number: {serviceUserNumber}
+Account holder: {accountHolderName}
+Sort code: {sortCode}
+Account number: {accountNumber}
+First collection date: {firstCollectionDate}
+
+Before the first payment is taken we will send you an advance notice of the amounts and dates of your collections. {councilName} will appear against the Direct Debit on your bank statement.
+
+If any of these details are wrong, please contact us at {contactEmail}.
+
+{guarantee}`
+        },
+        failed: {
+            subject: 'We could not set up your Direct Debit with {councilName}',
+            text: `Dear {customerName},
+
+We were unable to verify the bank details you gave for customer number {customerNumber}, so your Direct Debit with {councilName} has not been set up and no payments will be taken.
+
+You can try again using the Direct Debit form on our website, or contact us at {contactEmail} to arrange another way to pay.`
+        }
+    }
+};
+
+module.exports = {
+    TEMPLATES
+};
@@ -0,0 +1,97 @@
+// Deployment environments. The ENVIRONMENT variable of each lambda picks one;
+// lambdas/shared/environment-config.js resolves it (with the council registry)
+// into the settings the lambdas use and checks them at cold start.
+//
+// Council SSM paths and redirect URLs in the registry use placeholders filled
+// from here: {environment} is the environment name and {verificationHost} the
+// third-party verification service for the environment.
+
+module.exports = {
+    test: {
+        region: 'eu-west-2',
+        verificationHost: 'https://verification.thirdparty.com',
+        callbackUrl: 'https://api.example.com/webhook-callback',
+        // Secrets Manager secret holding the RDS credentials
+        databaseSecret: 'rds-credentials-secret',
+        // KMS key that encrypts bank details stored on submissions
+        bankDetailsKeyId: 'alias/direct-debit-bank-details',
+        // SNS topic for validation rate limit alerts; without one they are only logged
+        alertTopicArn: null,
+        tables: {
+            submissions: 'DirectDebitSubmissions',
+            idempotency: 'FormSubmissionIdempotency',
+            webhookNonces: 'WebhookNonces',
+            rateLimits: 'ValidationRateLimits',
+            exportState: 'DirectDebitExportState',
+            exportBatches: 'DirectDebitExportBatches',
+            loadManifests: 'CustomerLoadManifests'
+        },
+        buckets: {
+            customerData: 'customer-data-files',
+            export: 'export-files-to-erp',
+            // Generated customer documents (advance notices)
+            documents: 'direct-debit-documents'
+        },
+        // Allowed as well as each council's own origins (test forms are served from S3)
+        additionalAllowedOrigins: ['https://s3.eu-west-2.amazonaws.com'],
+        // Confirmation emails: 'ses', 'smtp' (smtpHost, smtpPort) or 'file' (directory)
+        email: {
+            transport: 'file',
+            directory: '/tmp/confirmation-emails'
+        }
+    },
+    staging: {
+        region: 'eu-west-2',
+        verificationHost: 'https://verification.thirdparty.com',
+        callbackUrl: 'https://api-staging.example.com/webhook-callback',
+        databaseSecret: 'rds-credentials-secret-staging',
+        bankDetailsKeyId: 'alias/direct-debit-bank-details-staging',
+        alertTopicArn: 'arn:aws:sns:eu-west-2:123456789012:direct-debit-alerts-staging',
+        tables: {
+            submissions: 'DirectDebitSubmissions-staging',
+            idempotency: 'FormSubmissionIdempotency-staging',
+            webhookNonces: 'WebhookNonces-staging',
+            rateLimits: 'ValidationRateLimits-staging',
+            exportState: 'DirectDebitExportState-staging',
+            exportBatches: 'DirectDebitExportBatches-staging',
+            loadManifests: 'CustomerLoadManifests-staging'
+        },
+        buckets: {
+            customerData: 'customer-data-files-staging',
+            export: 'export-files-to-erp-staging',
+            documents: 'direct-debit-documents-staging'
+        },
+        additionalAllowedOrigins: ['https://s3.eu-west-2.amazonaws.com'],
+        email: {
+            transport: 'ses',
+            configurationSet: 'direct-debit-confirmations-staging'
+        }
+    },
+    prod: {
+        region: 'eu-west-2',
+        verificationHost: 'https://verification.thirdparty.com',
+        callbackUrl: 'https://api.example.com/prod/webhook-callback',
+        databaseSecret: 'rds-credentials-secret-prod',
+        bankDetailsKeyId: 'alias/direct-debit-bank-details-prod',
+        alertTopicArn: 'arn:aws:sns:eu-west-2:123456789012:direct-debit-alerts-prod',
+        tables: {
+            submissions: 'DirectDebitSubmissions-prod',
+            idempotency: 'FormSubmissionIdempotency-prod',
+            webhookNonces: 'WebhookNonces-prod',
+            rateLimits: 'ValidationRateLimits-prod',
+            exportState: 'DirectDebitExportState-prod',
+            exportBatches: 'DirectDebitExportBatches-prod',
+            loadManifests: 'CustomerLoadManifests-prod'
+        },
+        buckets: {
+            customerData: 'customer-data-files-prod',
+            export: 'export-files-to-erp-prod',
+            documents: 'direct-debit-documents-prod'
+        },
+        additionalAllowedOrigins: [],
+        email: {
+            transport: 'ses',
+            configurationSet: 'direct-debit-confirmations'
+        }
+    }
+};
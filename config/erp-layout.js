@@ -0,0 +1,59 @@
+// ERP direct debit import layout (606 characters per record).
+// Positions are 1-based and must be contiguous; fields with neither a
+// constant value nor a source are filler. `source` names the value the
+// exporter supplies for that field, and is also the key used when an
+// export file is parsed back.
+//
+// A file is one header (type 1), the detail records (type 2) and one
+// trailer (type 9) carrying the record count and hash totals.
+
+module.exports = {
+    header: {
+        name: 'ERP header',
+        recordLength: 606,
+        fields: [
+            { name: 'recordType', start: 1, length: 2, align: 'right', value: '1' },
+            { name: 'council', start: 3, length: 20, align: 'left', source: 'council' },
+            { name: 'runDate', start: 23, length: 8, source: 'runDate' },
+            { name: 'sequenceNumber', start: 31, length: 6, align: 'right', pad: '0', source: 'sequenceNumber' },
+            { name: 'filler1', start: 37, length: 570 }
+        ]
+    },
+    detail: {
+        name: 'ERP detail',
+        recordLength: 606,
+        fields: [
+            { name: 'recordType', start: 1, length: 2, align: 'right', value: '2' },
+            { name: 'customerNumber', start: 3, length: 25, align: 'right', source: 'customerNumber' },
+            { name: 'filler1', start: 28, length: 4 },
+            // Sort code followed by account number
+            { name: 'bankAccount', start: 32, length: 35, align: 'right', source: 'bankAccount' },
+            // Customer profile from the council extract, blank if the council doesn't supply it
+            { name: 'customerName', start: 67, length: 40, align: 'left', source: 'customerName' },
+            { name: 'accountType', start: 107, length: 20, align: 'left', source: 'accountType' },
+            { name: 'balanceBand', start: 127, length: 10, align: 'left', source: 'balanceBand' },
+            { name: 'filler2', start: 137, length: 56 },
+            { name: 'reference', start: 193, length: 255, align: 'left', source: 'reference' },
+            { name: 'filler3', start: 448, length: 82 },
+            { name: 'transactionType', start: 530, length: 2, value: 'DD' },
+            { name: 'filler4', start: 532, length: 28 },
+            { name: 'statusFlag', start: 560, length: 1, value: 'W' },
+            { name: 'filler5', start: 561, length: 46 }
+        ]
+    },
+    trailer: {
+        name: 'ERP trailer',
+        recordLength: 606,
+        fields: [
+            { name: 'recordType', start: 1, length: 2, align: 'right', value: '9' },
+            { name: 'council', start: 3, length: 20, align: 'left', source: 'council' },
+            { name: 'runDate', start: 23, length: 8, source: 'runDate' },
+            { name: 'sequenceNumber', start: 31, length: 6, align: 'right', pad: '0', source: 'sequenceNumber' },
+            { name: 'recordCount', start: 37, length: 9, align: 'right', pad: '0', source: 'recordCount' },
+            // Sums of the detail customer and account numbers, modulo 10^18
+            { name: 'customerNumberHashTotal', start: 46, length: 18, align: 'right', pad: '0', source: 'customerNumberHashTotal' },
+            { name: 'accountNumberHashTotal', start: 64, length: 18, align: 'right', pad: '0', source: 'accountNumberHashTotal' },
+            { name: 'filler1', start: 82, length: 525 }
+        ]
+    }
+};
@@ -1,4 +1,7 @@
 document.addEventListener('DOMContentLoaded', function () {
+    const council = Councils.getCouncil(document.querySelector('form').dataset.council);
+    const customerNumberPattern = new RegExp(council.customerNumberPattern);
+
     const tncEmailRadio = document.getElementById('tncEmail');
     const tncReadoutRadio = document.getElementById('tncReadout');
     const tncSection = document.getElementById('tnc-section');
@@ -113,7 +116,7 @@ document.addEventListener('DOMContentLoaded', function () {
                 const postcode = postcodeInput.value.trim().toUpperCase().replace(/\\s+/g, '');
                 const email = emailInput.value.trim();
                 
-                const isValidCustomer = /^2000\\d{7}$/.test(customerNumber);
+                const isValidCustomer = customerNumberPattern.test(customerNumber);
                 const isValidEmail = validateEmail(email);
 
                 clearErrors();
@@ -133,7 +136,7 @@ document.addEventListener('DOMContentLoaded', function () {
                     if (!isValidCustomer && customerNumber) {
                         customerInput.style.borderColor = '#d63384';
                         postcodeInput.style.borderColor = '#d63384';
-                        errorMsg.textContent = 'Demo: Customer number must start with 2000 and be 11 digits long. Try: 20001234567';
+                        errorMsg.textContent = `Demo: Customer number must start with ${council.customerNumberPrefix} and be ${council.customerNumberLength} digits long. Try: ${council.exampleCustomerNumber}`;
                         errorMsg.style.display = 'block';
                         errorMsg.style.padding = '12px 12px 20px 12px';
                         errorMsg.style.color = '#d63384';
@@ -1,4 +1,7 @@
 document.addEventListener('DOMContentLoaded', function () {
+    const council = Councils.getCouncil(document.querySelector('form').dataset.council);
+    const customerNumberPattern = new RegExp(council.customerNumberPattern);
+
     const checkbox = document.querySelector('input[name="agree"]');
     const userDetails = document.querySelector('.user-details');
     const customerInput = document.getElementById('customer-number');
@@ -96,7 +99,7 @@ document.addEventListener('DOMContentLoaded', function () {
                 const postcode = postcodeInput.value.trim().toUpperCase().replace(/\\s+/g, '');
                 const email = emailInput.value.trim();
                 
-                const isValidCustomer = /^2000\\d{7}$/.test(customerNumber);
+                const isValidCustomer = customerNumberPattern.test(customerNumber);
                 const isValidEmail = validateEmail(email);
 
                 clearErrors();
@@ -116,7 +119,7 @@ document.addEventListener('DOMContentLoaded', function () {
                     if (!isValidCustomer && customerNumber) {
                         customerInput.style.borderColor = '#d63384';
                         postcodeInput.style.borderColor = '#d63384';
-                        errorMsg.textContent = 'Demo: Customer number must start with 2000 and be 11 digits long. Try: 20001234567';
+                        errorMsg.textContent = `Demo: Customer number must start with ${council.customerNumberPrefix} and be ${council.customerNumberLength} digits long. Try: ${council.exampleCustomerNumber}`;
                         errorMsg.style.display = 'block';
                         errorMsg.style.padding = '12px 12px 20px 12px';
                         errorMsg.style.color = '#d63384';
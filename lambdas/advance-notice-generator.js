@@ -0,0 +1,340 @@
+const { DynamoDBClient, QueryCommand, ScanCommand, GetItemCommand, UpdateItemCommand } = require('@aws-sdk/client-dynamodb');
+const { S3Client, PutObjectCommand } = require('@aws-sdk/client-s3');
+const { getCouncil } = require('../config/councils');
+const { SUBMISSION_STATUS } = require('./shared/submission-status');
+const { getCustomerProfile } = require('./shared/customer-profile');
+const database = require('./shared/database');
+const { buildAdvanceNotice, renderAdvanceNoticeHtml, renderAdvanceNoticePdf } = require('./shared/advance-notice');
+const { hasCollectionPlan } = require('./shared/collection-schedule');
+const { loadConfig } = require('./shared/environment-config');
+
+// Environment settings, checked at cold start
+const config = loadConfig();
+
+// Initialize AWS clients
+const dynamoClient = new DynamoDBClient({ region: config.region });
+const s3Client = new S3Client({ region: config.region });
+
+// Configuration from environment variables
+const TABLE_NAME = config.tables.submissions;
+// GSI with partition key "status" (projection ALL). Set to an empty string to fall back to a paginated scan.
+const STATUS_INDEX_NAME = process.env.STATUS_INDEX_NAME ?? 'status-submissionDate-index';
+// Notices are archived under <prefix><council>/<submission ID>/
+const DOCUMENTS_BUCKET = config.buckets.documents;
+const DOCUMENTS_PREFIX = process.env.ADVANCE_NOTICE_PREFIX || 'advance-notices/';
+// Only mandates exported this recently are picked up for a first notice, so turning the generator on doesn't
+// write to every past customer. Pending and failed notices are picked up on every run, however old.
+const LOOKBACK_DAYS = parseInt(process.env.ADVANCE_NOTICE_LOOKBACK_DAYS) || 7;
+
+// Recorded on the submission's advanceNotice attribute; pending and failed notices are retried on the next run
+const NOTICE_STATUS = {
+    GENERATED: 'generated',
+    // Nothing to collect (a zero balance), so no notice was sent
+    NOT_REQUIRED: 'not_required',
+    // Waiting for the council to be registered or to have a confirmed instalment plan
+    PENDING: 'pending',
+    FAILED: 'failed'
+};
+
+// Function to read exported submissions still needing a notice, following LastEvaluatedKey until exhausted
+async function getSubmissionsNeedingNotices() {
+    const useIndex = Boolean(STATUS_INDEX_NAME);
+    const cutoff = new Date(Date.now() - LOOKBACK_DAYS * 86400000).toISOString();
+    const baseParams = {
+        TableName: TABLE_NAME,
+        ExpressionAttributeNames: {
+            '#status': 'status',
+            '#exportedAt': 'exportedAt',
+            '#advanceNotice': 'advanceNotice',
+            '#noticeStatus': 'status'
+        },
+        ExpressionAttributeValues: {
+            ':status': { S: SUBMISSION_STATUS.EXPORTED },
+            ':cutoff': { S: cutoff },
+            ':pending': { S: NOTICE_STATUS.PENDING },
+            ':failed': { S: NOTICE_STATUS.FAILED }
+        }
+    };
+
+    const needsNotice = '((#exportedAt >= :cutoff AND attribute_not_exists(#advanceNotice)) OR #advanceNotice.#noticeStatus IN (:pending, :failed))';
+    if (useIndex) {
+        baseParams.IndexName = STATUS_INDEX_NAME;
+        baseParams.KeyConditionExpression = '#status = :status';
+        baseParams.FilterExpression = needsNotice;
+    } else {
+        baseParams.FilterExpression = `#status = :status AND ${needsNotice}`;
+    }
+
+    const items = [];
+    let exclusiveStartKey;
+
+    try {
+        do {
+            const params = { ...baseParams, ExclusiveStartKey: exclusiveStartKey };
+            const result = await dynamoClient.send(useIndex ? new QueryCommand(params) : new ScanCommand(params));
+            items.push(...result.Items);
+            exclusiveStartKey = result.LastEvaluatedKey;
+        } while (exclusiveStartKey);
+
+        console.log(`Found ${items.length} exported submissions needing an advance notice (${useIndex ? `query:${STATUS_INDEX_NAME}` : 'scan'})`);
+        return items;
+    } catch (error) {
+        console.error('Error reading submissions needing advance notices:', error);
+        throw error;
+    }
+}
+
+// Function to get a submission record by ID
+async function getSubmission(submissionId) {
+    const params = {
+        TableName: TABLE_NAME,
+        Key: {
+            submissionId: { S: submissionId }
+        }
+    };
+
+    try {
+        const result = await dynamoClient.send(new GetItemCommand(params));
+        return result.Item;
+    } catch (error) {
+        console.error('Error getting submission:', error);
+        throw error;
+    }
+}
+
+// Function to read the customer's current profile, falling back to the submission's copy if the database is unavailable
+async function lookupCustomerProfile(customerNumber) {
+    try {
+        return await getCustomerProfile(database, customerNumber);
+    } catch (error) {
+        console.error(`Error reading customer profile for ${customerNumber}, using the submission's copy:`, error.message);
+        return null;
+    }
+}
+
+// Function to archive a document in S3. Never overwrites: every notice has its own key.
+async function uploadDocument(key, body, contentType) {
+    const params = {
+        Bucket: DOCUMENTS_BUCKET,
+        Key: key,
+        Body: body,
+        ContentType: contentType,
+        IfNoneMatch: '*'
+    };
+
+    try {
+        await s3Client.send(new PutObjectCommand(params));
+        console.log(`Archived advance notice: s3://${DOCUMENTS_BUCKET}/${key}`);
+    } catch (error) {
+        console.error('Error archiving advance notice:', error);
+        throw error;
+    }
+}
+
+// Function to record a notice on its submission. Only a regenerated notice may replace one
+// already generated (or found not needed); otherwise only a pending or failed one is replaced,
+// and if there is another this returns false.
+async function recordNotice(submissionId, notice, firstCollectionDate, replaceExisting) {
+    const params = {
+        TableName: TABLE_NAME,
+        Key: {
+            submissionId: { S: submissionId }
+        },
+        UpdateExpression: 'SET #advanceNotice = :notice',
+        ExpressionAttributeNames: {
+            '#advanceNotice': 'advanceNotice'
+        },
+        ExpressionAttributeValues: {
+            ':notice': { M: notice }
+        }
+    };
+
+    // The stored first collection date is always the one on the notice the customer was last sent
+    if (firstCollectionDate) {
+        params.UpdateExpression += ', #firstCollectionDate = :firstCollectionDate';
+        params.ExpressionAttributeNames['#firstCollectionDate'] = 'firstCollectionDate';
+        params.ExpressionAttributeValues[':firstCollectionDate'] = { S: firstCollectionDate };
+    }
+
+    if (!replaceExisting) {
+        params.ConditionExpression = 'attribute_not_exists(#advanceNotice) OR #advanceNotice.#noticeStatus IN (:pending, :failed)';
+        params.ExpressionAttributeNames['#noticeStatus'] = 'status';
+        params.ExpressionAttributeValues[':pending'] = { S: NOTICE_STATUS.PENDING };
+        params.ExpressionAttributeValues[':failed'] = { S: NOTICE_STATUS.FAILED };
+    }
+
+    try {
+        await dynamoClient.send(new UpdateItemCommand(params));
+        return true;
+    } catch (error) {
+        if (error.name === 'ConditionalCheckFailedException') {
+            return false;
+        }
+        console.error('Error recording advance notice:', error);
+        throw error;
+    }
+}
+
+// Function to generate, archive and record the advance notice for one submission
+async function generateNotice(council, submission, regenerate = false) {
+    const submissionId = submission.submissionId.S;
+    const generatedAt = new Date();
+
+    try {
+        const profile = await lookupCustomerProfile(submission.customerNumber.S);
+        const notice = buildAdvanceNotice(council, submission, profile, generatedAt);
+
+        if (notice.totalPence === 0) {
+            const recorded = await recordNotice(submissionId, {
+                status: { S: NOTICE_STATUS.NOT_REQUIRED },
+                attemptedAt: { S: generatedAt.toISOString() }
+            }, null, false);
+            console.log(`No advance notice needed for submission ${submissionId}: nothing to collect${recorded ? '' : ' (existing notice left on record)'}`);
+            return { submissionId, success: true, notRequired: true };
+        }
+
+        const baseKey = `${DOCUMENTS_PREFIX}${council.id}/${submissionId}/advance-notice_${generatedAt.toISOString().replace(/[-:]/g, '').replace(/\.\d+Z$/, 'Z')}`;
+        const htmlKey = `${baseKey}.html`;
+        const pdfKey = `${baseKey}.pdf`;
+        await uploadDocument(htmlKey, renderAdvanceNoticeHtml(council, notice), 'text/html; charset=utf-8');
+        await uploadDocument(pdfKey, await renderAdvanceNoticePdf(council, notice), 'application/pdf');
+
+        const recorded = await recordNotice(submissionId, {
+            status: { S: NOTICE_STATUS.GENERATED },
+            bucket: { S: DOCUMENTS_BUCKET },
+            htmlKey: { S: htmlKey },
+            pdfKey: { S: pdfKey },
+            generatedAt: { S: generatedAt.toISOString() },
+            firstCollectionDate: { S: notice.firstCollectionDate },
+            instalments: { N: String(notice.schedule.length) },
+            totalPence: { N: String(notice.totalPence) }
+        }, notice.firstCollectionDate, regenerate);
+
+        if (!recorded) {
+            // Another run got there first; its documents are the ones on record
+            console.warn(`Advance notice for submission ${submissionId} was generated concurrently; ${htmlKey} is unreferenced`);
+            return { submissionId, success: true, duplicate: true };
+        }
+
+        console.log(`Generated advance notice for submission ${submissionId}`);
+        return { submissionId, success: true, htmlKey, pdfKey, firstCollectionDate: notice.firstCollectionDate };
+    } catch (error) {
+        console.error(`Advance notice failed for submission ${submissionId}:`, error);
+        try {
+            // Never replaces a generated notice, even when regenerating: the customer still has that one
+            await recordNotice(submissionId, {
+                status: { S: NOTICE_STATUS.FAILED },
+                error: { S: error.message },
+                attemptedAt: { S: generatedAt.toISOString() }
+            }, null, false);
+        } catch (recordError) {
+            // Already logged; the submission is picked up again on the next run
+        }
+        return { submissionId, success: false, error: error.message };
+    }
+}
+
+// Function to mark a submission's notice as pending, so it is picked up on every run until it can be generated
+async function recordPendingNotice(submissionId, reason) {
+    try {
+        await recordNotice(submissionId, {
+            status: { S: NOTICE_STATUS.PENDING },
+            reason: { S: reason },
+            attemptedAt: { S: new Date().toISOString() }
+        }, null, false);
+    } catch (error) {
+        // Already logged; a submission never marked is still picked up within the lookback window
+    }
+}
+
+// Function to regenerate one submission's notice (operator action), e.g. after correcting its balance
+async function regenerateNotice(submissionId) {
+    const submission = await getSubmission(submissionId);
+    if (!submission) {
+        throw new Error(`Submission ${submissionId} not found`);
+    }
+    if (submission.status?.S !== SUBMISSION_STATUS.EXPORTED) {
+        throw new Error(`Submission ${submissionId} is '${submission.status?.S}'; advance notices are only generated once a mandate is exported`);
+    }
+
+    const council = getCouncil(submission.service?.S);
+    if (!council) {
+        throw new Error(`Submission ${submissionId} has unknown service: ${submission.service?.S}`);
+    }
+    if (!hasCollectionPlan(council)) {
+        throw new Error(`Council '${council.id}' has no confirmed instalment plan (collection.instalments)`);
+    }
+
+    return generateNotice(council, submission, true);
+}
+
+exports.handler = async (event) => {
+    console.log('Advance notice generator started');
+    console.log('Event:', JSON.stringify(event, null, 2));
+
+    try {
+        // Operator action: { action: 'regenerate', submissionId }
+        if (event?.action === 'regenerate') {
+            const result = await regenerateNotice(event.submissionId);
+            return {
+                statusCode: result.success ? 200 : 500,
+                body: JSON.stringify(result)
+            };
+        }
+
+        const submissions = await getSubmissionsNeedingNotices();
+        const results = [];
+        const skipped = [];
+        const withoutPlan = [];
+
+        for (const submission of submissions) {
+            const council = getCouncil(submission.service?.S);
+            // Both are marked pending so they are picked up once the council is registered or its plan confirmed
+            if (!council) {
+                skipped.push(submission.submissionId.S);
+                await recordPendingNotice(submission.submissionId.S, `unregistered service '${submission.service?.S}'`);
+                continue;
+            }
+            if (!hasCollectionPlan(council)) {
+                withoutPlan.push(submission.submissionId.S);
+                await recordPendingNotice(submission.submissionId.S, 'no confirmed instalment plan');
+                continue;
+            }
+            results.push(await generateNotice(council, submission));
+        }
+
+        if (skipped.length > 0) {
+            console.error(`Skipping ${skipped.length} submissions with unregistered service:`, skipped);
+        }
+        if (withoutPlan.length > 0) {
+            console.warn(`Skipping ${withoutPlan.length} submissions whose council has no confirmed instalment plan:`, withoutPlan);
+        }
+
+        const result = {
+            success: true,
+            noticesGenerated: results.filter(notice => notice.success && !notice.duplicate && !notice.notRequired).length,
+            noticesNotRequired: results.filter(notice => notice.notRequired).length,
+            noticesFailed: results.filter(notice => !notice.success).length,
+            submissionsSkipped: skipped.length + withoutPlan.length,
+            notices: results,
+            timestamp: new Date().toISOString()
+        };
+
+        console.log('Advance notice generation completed:', JSON.stringify(result));
+        return {
+            statusCode: 200,
+            body: JSON.stringify(result)
+        };
+
+    } catch (error) {
+        console.error('Advance notice generation failed:', error);
+        return {
+            statusCode: 500,
+            body: JSON.stringify({
+                success: false,
+                error: error.message,
+                timestamp: new Date().toISOString()
+            })
+        };
+    }
+};
\ No newline at end of file
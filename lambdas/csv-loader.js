@@ -1,64 +1,150 @@
-import { S3Client, GetObjectCommand } from '@aws-sdk/client-s3';
-import mysql from 'mysql2/promise';
-
-// Initialize S3 client
-const s3Client = new S3Client({ region: 'eu-west-2' });
-
-// Database configuration from environment variables
-const DB_CONFIG = {
-    host: process.env.DB_HOST,
-    user: process.env.DB_USER,
-    password: process.env.DB_PASSWORD,
-    database: process.env.DB_NAME || 'customers',
-    port: parseInt(process.env.DB_PORT) || 3306
+import { createHash } from 'crypto';
+import { S3Client, GetObjectCommand, HeadObjectCommand, PutObjectCommand } from '@aws-sdk/client-s3';
+import { DynamoDBClient, QueryCommand, ScanCommand, UpdateItemCommand, PutItemCommand } from '@aws-sdk/client-dynamodb';
+import councils from '../config/councils.js';
+import csvParser from './shared/csv-parser.js';
+import dataQuality from './shared/customer-data-quality.js';
+import submissionStatus from './shared/submission-status.js';
+import customerProfile from './shared/customer-profile.js';
+import environmentConfig from './shared/environment-config.js';
+import database from './shared/database.js';
+
+const { parseCsv, formatCsvRow } = csvParser;
+const { validateCustomerRow, checkLoadThresholds } = dataQuality;
+const { SUBMISSION_STATUS } = submissionStatus;
+const { PROFILE_FIELDS, resolveColumnIndexes, mapColumns } = customerProfile;
+
+// Environment settings, checked at cold start
+const config = environmentConfig.loadConfig();
+
+// Initialize AWS clients
+const s3Client = new S3Client({ region: config.region });
+const dynamoClient = new DynamoDBClient({ region: config.region });
+
+// Submissions table, checked for open submissions by customers who leave the extract
+const TABLE_NAME = config.tables.submissions;
+// Set to an empty string to fall back to a scan where the index is not deployed
+const STATUS_INDEX_NAME = process.env.STATUS_INDEX_NAME ?? 'status-submissionDate-index';
+
+// S3 bucket configuration - one source CSV per registered council. Uploads trigger
+// a load of that council; a scheduled run with no S3 records loads any council
+// whose current file has not been loaded yet.
+const CSV_BUCKET = config.buckets.customerData;
+
+// One manifest per council per source object version, recording the outcome of its load
+const LOAD_MANIFEST_TABLE = config.tables.loadManifests;
+
+// A load still marked as loading after this long is assumed to have died with its lambda
+const STALE_LOAD_MINUTES = 20;
+
+// Load outcomes:
+//   loading -> loaded    (changes applied)
+//   loading -> rejected  (data-quality gates failed; the same version is not retried)
+//   loading -> failed    (any other error; the same version may be retried)
+const LOAD_OUTCOME = {
+    LOADING: 'loading',
+    LOADED: 'loaded',
+    REJECTED: 'rejected',
+    FAILED: 'failed'
+};
+
+// Rejected rows and their reasons are written here, one file per council per run
+const REJECT_BUCKET = process.env.REJECT_BUCKET || CSV_BUCKET;
+const REJECT_PREFIX = process.env.REJECT_PREFIX || 'rejects/';
+
+// Daily change reports, one file per council per run
+const REPORT_BUCKET = process.env.REPORT_BUCKET || CSV_BUCKET;
+const REPORT_PREFIX = process.env.REPORT_PREFIX || 'change-reports/';
+
+// Records are inserted in batches of this size as they are parsed
+const INSERT_BATCH_SIZE = 1000;
+
+// Each load fills a council's staging table, compares it with the live table and
+// applies only the differences. Every applied change is kept in the change log,
+// which is what change reports are built from and what a rollback reverses.
+const CUSTOMERS_TABLE = 'customers';
+const STAGING_TABLE_PREFIX = 'customers_staging_';
+const CHANGES_TABLE = 'customer_load_changes';
+
+const CHANGE_TYPE = {
+    ADDED: 'added',
+    REMOVED: 'removed',
+    POSTCODE_CHANGED: 'postcode_changed',
+    PROFILE_CHANGED: 'profile_changed'
 };
 
-// S3 bucket configuration
-const CSV_BUCKET = process.env.CSV_BUCKET || 'customer-data-files';
-const CSV_FILES = [
-    'COUNCIL_A_CUSTOMER_LIST.CSV',
-    'COUNCIL_B_CUSTOMER_LIST.CSV'
-];
+// Submissions still in these statuses need follow-up if their customer is removed
+const OPEN_SUBMISSION_STATUSES = [SUBMISSION_STATUS.PENDING, SUBMISSION_STATUS.APPROVED];
 
-// Function to download and parse CSV from S3
-async function downloadAndParseCSV(bucketName, fileName) {
-    console.log(`Downloading ${fileName} from S3 bucket ${bucketName}`);
+// Function to get the staging table for a council's loads
+function stagingTableFor(council) {
+    return STAGING_TABLE_PREFIX + council.id.replace(/[^a-z0-9]/gi, '_');
+}
+
+// Function to pass a stream through unchanged while hashing it
+async function* hashStream(body, hash) {
+    for await (const chunk of body) {
+        hash.update(chunk);
+        yield chunk;
+    }
+}
+
+// Function to stream a council's CSV from S3, yielding one customer record per valid data row.
+// Invalid rows are collected in rejects with their line number and reasons, and the
+// file's SHA-256 checksum is set on stats once it has been read to the end.
+async function* downloadAndParseCSV(source, council, stats, rejects) {
+    const fileName = source.key;
+    console.log(`Downloading ${fileName} (version ${source.sourceVersion}) from S3 bucket ${source.bucket}`);
     
     try {
+        // Read exactly the version recorded in the manifest
         const command = new GetObjectCommand({
-            Bucket: bucketName,
-            Key: fileName
+            Bucket: source.bucket,
+            Key: source.key,
+            VersionId: source.versionId,
+            IfMatch: source.versionId ? undefined : source.eTag
         });
         
         const response = await s3Client.send(command);
-        const csvContent = await response.Body.transformToString();
-        
-        console.log(`Downloaded ${fileName}, size: ${csvContent.length} characters`);
-        
-        // Parse CSV content
-        const lines = csvContent.split('\n');
-        const records = [];
-        
-        // Skip header row and process data rows
-        for (let i = 1; i < lines.length; i++) {
-            const line = lines[i].trim();
-            if (line) {
-                const columns = line.split(',');
-                if (columns.length >= 3) {
-                    // Determine service from filename
-                    const service = fileName.includes('COUNCIL_A') ? 'council-a' : 'council-b';
-                    
-                    records.push({
-                        customer_number: columns[0].replace(/"/g, '').trim(),
-                        postcode: columns[1].replace(/"/g, '').trim(), // Preserve spaces in postcodes
-                        service: service
-                    });
-                }
+        console.log(`Streaming ${fileName}, size: ${response.ContentLength} bytes`);
+        
+        const hash = createHash('sha256');
+        const seenCustomerNumbers = new Set();
+        let columnIndexes;
+        let rowNumber = 0;
+        for await (const columns of parseCsv(hashStream(response.Body, hash))) {
+            rowNumber++;
+            
+            // The header row locates the council's mapped columns
+            if (rowNumber === 1) {
+                columnIndexes = resolveColumnIndexes(council, columns);
+                continue;
             }
+            
+            // Skip blank lines
+            if (columns.length === 1 && columns[0].trim() === '') {
+                continue;
+            }
+            
+            const record = mapColumns(columns, columnIndexes);
+            const reasons = validateCustomerRow(council, record, seenCustomerNumbers);
+            if (reasons.length > 0) {
+                stats.rowsRejected++;
+                reasons.forEach(reason => {
+                    stats.rejectReasons[reason] = (stats.rejectReasons[reason] || 0) + 1;
+                });
+                rejects.push({ rowNumber, reasons, columns });
+                continue;
+            }
+            
+            // Postcodes keep their spaces
+            seenCustomerNumbers.add(record.customer_number);
+            stats.rowsAccepted++;
+            yield { ...record, service: council.id };
         }
         
-        console.log(`Parsed ${records.length} records from ${fileName}`);
-        return records;
+        stats.checksum = hash.digest('hex');
+        console.log(`Parsed ${fileName}: ${stats.rowsAccepted} rows accepted, ${stats.rowsRejected} rejected`);
         
     } catch (error) {
         console.error(`Error downloading/parsing ${fileName}:`, error);
@@ -66,51 +152,715 @@ async function downloadAndParseCSV(bucketName, fileName) {
     }
 }
 
-// Function to load records into MySQL database
-async function loadRecordsToDatabase(records) {
+// Function to write a council's rejected rows to S3, returning the file's key
+async function writeRejectFile(council, rejects, runId) {
+    const key = `${REJECT_PREFIX}${council.id}/${runId}_${council.sourceCsv}`;
+    const lines = [
+        formatCsvRow(['row_number', 'reasons', 'row']),
+        ...rejects.map(reject => formatCsvRow([reject.rowNumber, reject.reasons.join('; '), formatCsvRow(reject.columns)]))
+    ];
+    
+    try {
+        await s3Client.send(new PutObjectCommand({
+            Bucket: REJECT_BUCKET,
+            Key: key,
+            Body: lines.join('\r\n') + '\r\n',
+            ContentType: 'text/csv'
+        }));
+        
+        console.log(`Wrote ${rejects.length} rejected rows to s3://${REJECT_BUCKET}/${key}`);
+        return key;
+        
+    } catch (error) {
+        console.error(`Error writing reject file for ${council.id}:`, error);
+        throw error;
+    }
+}
+
+// Function to count the customers currently live for a council
+async function getLiveCount(connection, council) {
+    const [rows] = await connection.query(`SELECT COUNT(*) AS total FROM ${CUSTOMERS_TABLE} WHERE service = ?`, [council.id]);
+    return Number(rows[0].total);
+}
+
+// Function to check the customers table has every profile column. The columns are added by
+// the SQL migrations in migrations/, never by the loader.
+async function checkProfileColumns(connection) {
+    const [rows] = await connection.query(
+        'SELECT COLUMN_NAME AS name FROM information_schema.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ?',
+        [CUSTOMERS_TABLE]
+    );
+    const existing = new Set(rows.map(row => row.name));
+    
+    const missing = PROFILE_FIELDS.filter(field => !existing.has(field));
+    if (missing.length > 0) {
+        throw new Error(`${CUSTOMERS_TABLE} table is missing profile columns ${missing.join(', ')}; apply the migrations in migrations/`);
+    }
+}
+
+// Function to build a SQL expression packing a table alias's profile columns into JSON
+function profileJson(alias) {
+    return `JSON_OBJECT(${PROFILE_FIELDS.map(field => `'${field}', ${alias}.${field}`).join(', ')})`;
+}
+
+// Function to build a SQL expression reading one profile column back out of a change log JSON column.
+// JSON nulls must come back as SQL NULL rather than the string 'null'.
+function profileValue(jsonColumn, field) {
+    const value = `JSON_EXTRACT(${jsonColumn}, '$.${field}')`;
+    return `IF(JSON_TYPE(${value}) = 'NULL', NULL, JSON_UNQUOTE(${value}))`;
+}
+
+// Function to build SQL assignments setting profile columns from a change log JSON column
+function profileAssignments(alias, jsonColumn) {
+    return PROFILE_FIELDS.map(field => `${alias}.${field} = ${profileValue(jsonColumn, field)}`).join(', ');
+}
+
+// Function to insert one batch of records into a staging table
+async function insertBatch(connection, stagingTable, batch) {
+    const insertQuery = `INSERT INTO ${stagingTable} (customer_number, postcode, service, ${PROFILE_FIELDS.join(', ')}, created_at) VALUES ?`;
+    const createdAt = new Date();
+    const values = batch.map(record => [
+        record.customer_number,
+        record.postcode,
+        record.service,
+        ...PROFILE_FIELDS.map(field => record[field]),
+        createdAt
+    ]);
+    
+    await connection.query(insertQuery, [values]);
+}
+
+// Function to check the staging table before its differences are applied
+async function validateStagingTable(connection, stagingTable, council, totalInserted) {
+    const [countRows] = await connection.query(`SELECT COUNT(*) AS total FROM ${stagingTable} WHERE service = ?`, [council.id]);
+    const stagedTotal = Number(countRows[0].total);
+    if (stagedTotal !== totalInserted) {
+        throw new Error(`Staging table has ${stagedTotal} rows for ${council.id}, expected ${totalInserted}`);
+    }
+    if (stagedTotal === 0) {
+        throw new Error(`Staging table has no customers for ${council.id}`);
+    }
+    
+    return stagedTotal;
+}
+
+// Function to check the change log table exists with its profile columns. Like the
+// profile columns, it is created by the SQL migrations in migrations/, never by the loader.
+async function checkChangeLogTable(connection) {
+    const [rows] = await connection.query(
+        'SELECT COLUMN_NAME AS name FROM information_schema.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ?',
+        [CHANGES_TABLE]
+    );
+    const existing = new Set(rows.map(row => row.name));
+    
+    if (existing.size === 0) {
+        throw new Error(`${CHANGES_TABLE} table does not exist; apply the migrations in migrations/`);
+    }
+    const missing = ['old_profile', 'new_profile'].filter(column => !existing.has(column));
+    if (missing.length > 0) {
+        throw new Error(`${CHANGES_TABLE} table is missing columns ${missing.join(', ')}; apply the migrations in migrations/`);
+    }
+}
+
+// Function to record the differences between a council's staging table and the live table in the change log
+async function recordChanges(connection, runId, stagingTable, council) {
+    await connection.query(`
+        INSERT INTO ${CHANGES_TABLE} (run_id, change_type, customer_number, service, new_postcode, new_profile)
+        SELECT ?, ?, s.customer_number, s.service, s.postcode, ${profileJson('s')}
+        FROM ${stagingTable} s
+        LEFT JOIN ${CUSTOMERS_TABLE} c ON c.customer_number = s.customer_number
+        WHERE c.customer_number IS NULL
+    `, [runId, CHANGE_TYPE.ADDED]);
+    
+    // BINARY so a change in spacing or case is picked up
+    await connection.query(`
+        INSERT INTO ${CHANGES_TABLE} (run_id, change_type, customer_number, service, old_postcode, new_postcode)
+        SELECT ?, ?, s.customer_number, s.service, c.postcode, s.postcode
+        FROM ${stagingTable} s
+        JOIN ${CUSTOMERS_TABLE} c ON c.customer_number = s.customer_number
+        WHERE BINARY c.postcode <> BINARY s.postcode
+    `, [runId, CHANGE_TYPE.POSTCODE_CHANGED]);
+    
+    await connection.query(`
+        INSERT INTO ${CHANGES_TABLE} (run_id, change_type, customer_number, service, old_profile, new_profile)
+        SELECT ?, ?, s.customer_number, s.service, ${profileJson('c')}, ${profileJson('s')}
+        FROM ${stagingTable} s
+        JOIN ${CUSTOMERS_TABLE} c ON c.customer_number = s.customer_number
+        WHERE ${PROFILE_FIELDS.map(field => `NOT (BINARY c.${field} <=> BINARY s.${field})`).join(' OR ')}
+    `, [runId, CHANGE_TYPE.PROFILE_CHANGED]);
+    
+    // Only the council being loaded can have removed customers
+    await connection.query(`
+        INSERT INTO ${CHANGES_TABLE} (run_id, change_type, customer_number, service, old_postcode, old_profile, old_created_at)
+        SELECT ?, ?, c.customer_number, c.service, c.postcode, ${profileJson('c')}, c.created_at
+        FROM ${CUSTOMERS_TABLE} c
+        LEFT JOIN ${stagingTable} s ON s.customer_number = c.customer_number
+        WHERE s.customer_number IS NULL AND c.service = ?
+    `, [runId, CHANGE_TYPE.REMOVED, council.id]);
+}
+
+// Function to apply a run's recorded changes to the live table
+async function applyChanges(connection, runId) {
+    await connection.query(`
+        INSERT INTO ${CUSTOMERS_TABLE} (customer_number, postcode, service, ${PROFILE_FIELDS.join(', ')}, created_at)
+        SELECT customer_number, new_postcode, service, ${PROFILE_FIELDS.map(field => profileValue('new_profile', field)).join(', ')}, NOW()
+        FROM ${CHANGES_TABLE}
+        WHERE run_id = ? AND change_type = ?
+    `, [runId, CHANGE_TYPE.ADDED]);
+    
+    await connection.query(`
+        UPDATE ${CUSTOMERS_TABLE} c
+        JOIN ${CHANGES_TABLE} ch ON ch.customer_number = c.customer_number
+        SET c.postcode = ch.new_postcode
+        WHERE ch.run_id = ? AND ch.change_type = ?
+    `, [runId, CHANGE_TYPE.POSTCODE_CHANGED]);
+    
+    await connection.query(`
+        UPDATE ${CUSTOMERS_TABLE} c
+        JOIN ${CHANGES_TABLE} ch ON ch.customer_number = c.customer_number
+        SET ${profileAssignments('c', 'ch.new_profile')}
+        WHERE ch.run_id = ? AND ch.change_type = ?
+    `, [runId, CHANGE_TYPE.PROFILE_CHANGED]);
+    
+    await connection.query(`
+        DELETE c FROM ${CUSTOMERS_TABLE} c
+        JOIN ${CHANGES_TABLE} ch ON ch.customer_number = c.customer_number
+        WHERE ch.run_id = ? AND ch.change_type = ?
+    `, [runId, CHANGE_TYPE.REMOVED]);
+}
+
+// Function to count a run's changes by council and change type
+async function getChangeCounts(connection, runId) {
+    const [rows] = await connection.query(`
+        SELECT service, change_type, COUNT(*) AS total
+        FROM ${CHANGES_TABLE}
+        WHERE run_id = ?
+        GROUP BY service, change_type
+    `, [runId]);
+    
+    const counts = {};
+    rows.forEach(row => {
+        counts[row.service] = counts[row.service] || Object.fromEntries(Object.values(CHANGE_TYPE).map(type => [type, 0]));
+        counts[row.service][row.change_type] = Number(row.total);
+    });
+    return counts;
+}
+
+// Function to load a council's file into its staging table and apply the differences to the live table.
+// The differences are applied in one transaction, so readers never see a partial load.
+// A file breaching the council's data-quality thresholds is rejected without any change.
+async function loadRecordsToDatabase(council, source, runId) {
     let connection;
+    const stagingTable = stagingTableFor(council);
+    const stats = { rowsAccepted: 0, rowsRejected: 0, rejectReasons: {} };
     
     try {
         console.log('Connecting to MySQL database...');
-        connection = await mysql.createConnection(DB_CONFIG);
-        
-        // Truncate existing data
-        console.log('Truncating existing customer data...');
-        await connection.execute('TRUNCATE TABLE customers');
-        
-        // Prepare batch insert
-        const insertQuery = 'INSERT INTO customers (customer_number, postcode, service, created_at) VALUES ?';
-        const values = records.map(record => [
-            record.customer_number,
-            record.postcode,
-            record.service,
-            new Date()
-        ]);
-        
-        // Insert records in batches
-        const batchSize = 1000;
-        let totalInserted = 0;
+        connection = await database.getConnection();
+        await checkProfileColumns(connection);
+        await checkChangeLogTable(connection);
+        
+        // Fresh staging table with the live table's structure and indexes
+        console.log(`Preparing staging table ${stagingTable}...`);
+        await connection.query(`DROP TABLE IF EXISTS ${stagingTable}`);
+        await connection.query(`CREATE TABLE ${stagingTable} LIKE ${CUSTOMERS_TABLE}`);
         
-        for (let i = 0; i < values.length; i += batchSize) {
-            const batch = values.slice(i, i + batchSize);
-            await connection.query(insertQuery, [batch]);
+        // The live table holds the previous load, which the file is compared against
+        const liveCount = await getLiveCount(connection, council);
+        
+        // Insert records in batches as they are parsed
+        const rejects = [];
+        let totalInserted = 0;
+        let batch = [];
+        for await (const record of downloadAndParseCSV(source, council, stats, rejects)) {
+            batch.push(record);
+            if (batch.length === INSERT_BATCH_SIZE) {
+                await insertBatch(connection, stagingTable, batch);
+                totalInserted += batch.length;
+                console.log(`Inserted batch: ${totalInserted} records`);
+                batch = [];
+            }
+        }
+        if (batch.length > 0) {
+            await insertBatch(connection, stagingTable, batch);
             totalInserted += batch.length;
-            console.log(`Inserted batch: ${totalInserted}/${values.length} records`);
+            console.log(`Inserted batch: ${totalInserted} records`);
+        }
+        
+        if (rejects.length > 0) {
+            stats.rejectFile = await writeRejectFile(council, rejects, runId);
+        }
+        
+        const breaches = checkLoadThresholds(council, stats, liveCount);
+        if (breaches.length > 0) {
+            stats.breaches = breaches;
+            const error = new Error(`Data-quality gates failed for ${council.id}: ${breaches.join('; ')}`);
+            error.rejected = true;
+            throw error;
         }
         
-        console.log(`Successfully loaded ${totalInserted} records to database`);
-        return totalInserted;
+        await validateStagingTable(connection, stagingTable, council, totalInserted);
+        console.log(`Staging table ${stagingTable} validated: ${totalInserted} records`);
+        
+        await connection.beginTransaction();
+        try {
+            await recordChanges(connection, runId, stagingTable, council);
+            await applyChanges(connection, runId);
+            await connection.commit();
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        }
+        
+        const changeCounts = (await getChangeCounts(connection, runId))[council.id] || {};
+        console.log(`Applied changes for ${council.id} run ${runId}:`, changeCounts);
+        return { totalInserted, stats, changeCounts };
         
     } catch (error) {
-        console.error('Error loading records to database:', error);
+        console.error(`Error loading ${council.id} records to database, live table left unchanged:`, error);
+        error.fileStats = stats;
         throw error;
     } finally {
         if (connection) {
-            await connection.end();
+            connection.release();
         }
     }
 }
 
+// Function to find submissions that are still pending or approved
+async function getOpenSubmissions() {
+    const submissions = [];
+    
+    try {
+        for (const status of OPEN_SUBMISSION_STATUSES) {
+            const params = {
+                TableName: TABLE_NAME,
+                ProjectionExpression: 'submissionId, customerNumber, #status',
+                ExpressionAttributeNames: { '#status': 'status' },
+                ExpressionAttributeValues: { ':status': { S: status } }
+            };
+            if (STATUS_INDEX_NAME) {
+                params.IndexName = STATUS_INDEX_NAME;
+                params.KeyConditionExpression = '#status = :status';
+            } else {
+                params.FilterExpression = '#status = :status';
+            }
+            
+            let exclusiveStartKey;
+            do {
+                const command = STATUS_INDEX_NAME
+                    ? new QueryCommand({ ...params, ExclusiveStartKey: exclusiveStartKey })
+                    : new ScanCommand({ ...params, ExclusiveStartKey: exclusiveStartKey });
+                const result = await dynamoClient.send(command);
+                
+                result.Items.forEach(item => submissions.push({
+                    submissionId: item.submissionId.S,
+                    customerNumber: item.customerNumber?.S,
+                    status: item.status.S
+                }));
+                exclusiveStartKey = result.LastEvaluatedKey;
+            } while (exclusiveStartKey);
+        }
+        
+        return submissions;
+    } catch (error) {
+        console.error('Error reading open submissions:', error);
+        throw error;
+    }
+}
+
+// Function to flag a submission whose customer has left the council extract
+async function flagSubmissionForFollowUp(submission, runId) {
+    try {
+        await dynamoClient.send(new UpdateItemCommand({
+            TableName: TABLE_NAME,
+            Key: { submissionId: { S: submission.submissionId } },
+            UpdateExpression: 'SET followUpRequired = :true, followUpReason = :reason, followUpLoadRunId = :runId, followUpFlaggedAt = :now',
+            // Only while it is still in the status it was found in
+            ConditionExpression: '#status = :status',
+            ExpressionAttributeNames: { '#status': 'status' },
+            ExpressionAttributeValues: {
+                ':true': { BOOL: true },
+                ':reason': { S: 'customer removed from council extract' },
+                ':runId': { S: runId },
+                ':now': { S: new Date().toISOString() },
+                ':status': { S: submission.status }
+            }
+        }));
+        return true;
+    } catch (error) {
+        if (error.name === 'ConditionalCheckFailedException') {
+            console.warn(`Submission ${submission.submissionId} changed status before it could be flagged`);
+            return false;
+        }
+        console.error(`Error flagging submission ${submission.submissionId}:`, error);
+        throw error;
+    }
+}
+
+// Function to write a council's change report to S3, returning the file's key
+async function writeChangeReport(council, runId, changes, flaggedByCustomerNumber) {
+    const key = `${REPORT_PREFIX}${council.id}/${runId}_changes.csv`;
+    const lines = [
+        formatCsvRow(['change_type', 'customer_number', 'old_postcode', 'new_postcode', 'follow_up_submission_ids']),
+        ...changes.map(change => formatCsvRow([
+            change.change_type,
+            change.customer_number,
+            change.old_postcode,
+            change.new_postcode,
+            (flaggedByCustomerNumber[change.customer_number] || []).join(' ')
+        ]))
+    ];
+    
+    try {
+        await s3Client.send(new PutObjectCommand({
+            Bucket: REPORT_BUCKET,
+            Key: key,
+            Body: lines.join('\r\n') + '\r\n',
+            ContentType: 'text/csv'
+        }));
+        
+        console.log(`Wrote ${changes.length} changes to s3://${REPORT_BUCKET}/${key}`);
+        return key;
+        
+    } catch (error) {
+        console.error(`Error writing change report for ${council.id}:`, error);
+        throw error;
+    }
+}
+
+// Function to flag open submissions for removed customers and publish a run's change report
+async function publishChangeReport(council, runId) {
+    let connection;
+    
+    try {
+        connection = await database.getConnection();
+        const [changes] = await connection.query(`
+            SELECT change_type, customer_number, service, old_postcode, new_postcode
+            FROM ${CHANGES_TABLE}
+            WHERE run_id = ? AND service = ?
+            ORDER BY change_type, customer_number
+        `, [runId, council.id]);
+        
+        // Removed customers with a pending or approved submission need following up
+        const removed = new Set(changes.filter(change => change.change_type === CHANGE_TYPE.REMOVED).map(change => change.customer_number));
+        const flaggedByCustomerNumber = {};
+        if (removed.size > 0) {
+            const openSubmissions = (await getOpenSubmissions()).filter(submission => removed.has(submission.customerNumber));
+            for (const submission of openSubmissions) {
+                if (await flagSubmissionForFollowUp(submission, runId)) {
+                    flaggedByCustomerNumber[submission.customerNumber] = flaggedByCustomerNumber[submission.customerNumber] || [];
+                    flaggedByCustomerNumber[submission.customerNumber].push(submission.submissionId);
+                }
+            }
+        }
+        
+        const flaggedSubmissions = Object.values(flaggedByCustomerNumber).reduce((total, ids) => total + ids.length, 0);
+        if (flaggedSubmissions > 0) {
+            console.warn(`${flaggedSubmissions} open submissions flagged for follow-up after customers left the ${council.id} extract`);
+        }
+        
+        return {
+            reportFile: await writeChangeReport(council, runId, changes, flaggedByCustomerNumber),
+            flaggedSubmissions: flaggedSubmissions
+        };
+        
+    } catch (error) {
+        console.error(`Error publishing change report for run ${runId}:`, error);
+        throw error;
+    } finally {
+        if (connection) {
+            connection.release();
+        }
+    }
+}
+
+// Function to reverse a council's most recent load that has not already been rolled back
+async function rollbackLastLoad(council) {
+    let connection;
+    
+    try {
+        connection = await database.getConnection();
+        await checkChangeLogTable(connection);
+        
+        const [runs] = await connection.query(`SELECT run_id FROM ${CHANGES_TABLE} WHERE service = ? AND rolled_back_at IS NULL ORDER BY run_id DESC LIMIT 1`, [council.id]);
+        if (runs.length === 0) {
+            throw new Error(`No applied ${council.id} load to roll back`);
+        }
+        const runId = runs[0].run_id;
+        
+        await connection.beginTransaction();
+        try {
+            await connection.query(`
+                DELETE c FROM ${CUSTOMERS_TABLE} c
+                JOIN ${CHANGES_TABLE} ch ON ch.customer_number = c.customer_number
+                WHERE ch.run_id = ? AND ch.change_type = ?
+            `, [runId, CHANGE_TYPE.ADDED]);
+            
+            await connection.query(`
+                UPDATE ${CUSTOMERS_TABLE} c
+                JOIN ${CHANGES_TABLE} ch ON ch.customer_number = c.customer_number
+                SET c.postcode = ch.old_postcode
+                WHERE ch.run_id = ? AND ch.change_type = ?
+            `, [runId, CHANGE_TYPE.POSTCODE_CHANGED]);
+            
+            await connection.query(`
+                UPDATE ${CUSTOMERS_TABLE} c
+                JOIN ${CHANGES_TABLE} ch ON ch.customer_number = c.customer_number
+                SET ${profileAssignments('c', 'ch.old_profile')}
+                WHERE ch.run_id = ? AND ch.change_type = ?
+            `, [runId, CHANGE_TYPE.PROFILE_CHANGED]);
+            
+            // Runs from before profile columns were loaded have no old_profile to restore
+            await connection.query(`
+                INSERT INTO ${CUSTOMERS_TABLE} (customer_number, postcode, service, ${PROFILE_FIELDS.join(', ')}, created_at)
+                SELECT customer_number, old_postcode, service, ${PROFILE_FIELDS.map(field => profileValue('old_profile', field)).join(', ')}, COALESCE(old_created_at, NOW())
+                FROM ${CHANGES_TABLE}
+                WHERE run_id = ? AND change_type = ?
+            `, [runId, CHANGE_TYPE.REMOVED]);
+            
+            await connection.query(`UPDATE ${CHANGES_TABLE} SET rolled_back_at = NOW() WHERE run_id = ?`, [runId]);
+            await connection.commit();
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        }
+        
+        const changeCounts = (await getChangeCounts(connection, runId))[council.id] || {};
+        console.log(`Rolled back load ${runId}:`, changeCounts);
+        return { runId, changeCounts };
+        
+    } catch (error) {
+        console.error(`Error rolling back ${council.id} customer load:`, error);
+        throw error;
+    } finally {
+        if (connection) {
+            connection.release();
+        }
+    }
+}
+
+// Function to get a manifest's identity for a source object: its version, or its ETag if the bucket is unversioned
+function sourceVersionOf(versionId, eTag) {
+    return versionId && versionId !== 'null' ? versionId : `etag:${(eTag || '').replace(/"/g, '')}`;
+}
+
+// Function to describe the current (or given) version of a council's source file
+async function describeSourceObject(bucket, key, versionId) {
+    try {
+        const response = await s3Client.send(new HeadObjectCommand({ Bucket: bucket, Key: key, VersionId: versionId }));
+        const objectVersionId = response.VersionId && response.VersionId !== 'null' ? response.VersionId : undefined;
+        
+        return {
+            bucket: bucket,
+            key: key,
+            versionId: objectVersionId,
+            eTag: response.ETag,
+            sourceVersion: sourceVersionOf(objectVersionId, response.ETag),
+            lastModified: response.LastModified.toISOString(),
+            sizeBytes: response.ContentLength
+        };
+    } catch (error) {
+        console.error(`Error reading s3://${bucket}/${key}:`, error);
+        throw error;
+    }
+}
+
+// Function to check whether a newer version of a council's file has already been loaded
+async function isSuperseded(council, source) {
+    let exclusiveStartKey;
+    
+    try {
+        do {
+            const result = await dynamoClient.send(new QueryCommand({
+                TableName: LOAD_MANIFEST_TABLE,
+                KeyConditionExpression: 'council = :council',
+                FilterExpression: 'outcome = :loaded AND sourceLastModified > :lastModified',
+                ExpressionAttributeValues: {
+                    ':council': { S: council.id },
+                    ':loaded': { S: LOAD_OUTCOME.LOADED },
+                    ':lastModified': { S: source.lastModified }
+                },
+                ExclusiveStartKey: exclusiveStartKey
+            }));
+            
+            if (result.Items.length > 0) {
+                return true;
+            }
+            exclusiveStartKey = result.LastEvaluatedKey;
+        } while (exclusiveStartKey);
+        
+        return false;
+    } catch (error) {
+        console.error(`Error checking ${council.id} load manifests:`, error);
+        throw error;
+    }
+}
+
+// Function to claim a source version for loading, returning false if it has already been handled.
+// Only failed loads, or loads that died part-way, can be claimed again unless force is set.
+async function claimLoad(council, source, runId, force) {
+    const params = {
+        TableName: LOAD_MANIFEST_TABLE,
+        Item: {
+            council: { S: council.id },
+            sourceVersion: { S: source.sourceVersion },
+            bucket: { S: source.bucket },
+            sourceKey: { S: source.key },
+            eTag: { S: source.eTag },
+            sourceLastModified: { S: source.lastModified },
+            sizeBytes: { N: String(source.sizeBytes) },
+            runId: { S: runId },
+            outcome: { S: LOAD_OUTCOME.LOADING },
+            startedAt: { S: new Date().toISOString() }
+        }
+    };
+    
+    if (!force) {
+        params.ConditionExpression = 'attribute_not_exists(council) OR outcome = :failed OR (outcome = :loading AND startedAt < :staleBefore)';
+        params.ExpressionAttributeValues = {
+            ':failed': { S: LOAD_OUTCOME.FAILED },
+            ':loading': { S: LOAD_OUTCOME.LOADING },
+            ':staleBefore': { S: new Date(Date.now() - STALE_LOAD_MINUTES * 60000).toISOString() }
+        };
+    }
+    
+    try {
+        await dynamoClient.send(new PutItemCommand(params));
+        console.log(`Claimed ${council.id} load of ${source.sourceVersion} as run ${runId}`);
+        return true;
+    } catch (error) {
+        if (error.name === 'ConditionalCheckFailedException') {
+            return false;
+        }
+        console.error(`Error claiming ${council.id} load of ${source.sourceVersion}:`, error);
+        throw error;
+    }
+}
+
+// Function to record the outcome of a load on its manifest
+async function completeLoad(council, source, outcome, attributes) {
+    const params = {
+        TableName: LOAD_MANIFEST_TABLE,
+        Key: {
+            council: { S: council.id },
+            sourceVersion: { S: source.sourceVersion }
+        },
+        UpdateExpression: 'SET outcome = :outcome, completedAt = :completedAt',
+        ExpressionAttributeNames: {},
+        ExpressionAttributeValues: {
+            ':outcome': { S: outcome },
+            ':completedAt': { S: new Date().toISOString() }
+        }
+    };
+    
+    Object.entries(attributes).forEach(([name, value]) => {
+        if (value === undefined) {
+            return;
+        }
+        params.UpdateExpression += `, #${name} = :${name}`;
+        params.ExpressionAttributeNames[`#${name}`] = name;
+        params.ExpressionAttributeValues[`:${name}`] = typeof value === 'number' ? { N: String(value) } : { S: String(value) };
+    });
+    if (Object.keys(params.ExpressionAttributeNames).length === 0) {
+        delete params.ExpressionAttributeNames;
+    }
+    
+    try {
+        await dynamoClient.send(new UpdateItemCommand(params));
+        console.log(`Load manifest ${council.id}/${source.sourceVersion}: ${outcome}`);
+    } catch (error) {
+        console.error(`Error recording ${outcome} on load manifest ${council.id}/${source.sourceVersion}:`, error);
+        throw error;
+    }
+}
+
+// Function to load one version of a council's file, recording the outcome on its manifest
+async function loadCouncilFile(council, source, force) {
+    const runId = `${new Date().toISOString().replace(/[-:.]/g, '')}_${council.id}`;
+    
+    if (!force && await isSuperseded(council, source)) {
+        console.log(`Skipping ${council.id} ${source.sourceVersion}: a newer version has already been loaded`);
+        return { outcome: 'skipped', reason: 'superseded', sourceVersion: source.sourceVersion };
+    }
+    if (!await claimLoad(council, source, runId, force)) {
+        console.log(`Skipping ${council.id} ${source.sourceVersion}: this version has already been loaded or is loading`);
+        return { outcome: 'skipped', reason: 'duplicate version', sourceVersion: source.sourceVersion };
+    }
+    
+    let loaded;
+    try {
+        loaded = await loadRecordsToDatabase(council, source, runId);
+    } catch (error) {
+        const outcome = error.rejected ? LOAD_OUTCOME.REJECTED : LOAD_OUTCOME.FAILED;
+        const stats = error.fileStats || {};
+        await completeLoad(council, source, outcome, {
+            checksum: stats.checksum,
+            rowsAccepted: stats.rowsAccepted,
+            rowsRejected: stats.rowsRejected,
+            rejectFile: stats.rejectFile,
+            error: error.message
+        });
+        return { outcome, runId, sourceVersion: source.sourceVersion, error: error.message, file: stats };
+    }
+    
+    // The changes are applied at this point, so a report failure is recorded but not retried by a reload
+    let report;
+    let reportError;
+    try {
+        report = await publishChangeReport(council, runId);
+    } catch (error) {
+        reportError = error.message;
+    }
+    
+    await completeLoad(council, source, LOAD_OUTCOME.LOADED, {
+        checksum: loaded.stats.checksum,
+        rowCount: loaded.totalInserted,
+        rowsAccepted: loaded.stats.rowsAccepted,
+        rowsRejected: loaded.stats.rowsRejected,
+        rejectFile: loaded.stats.rejectFile,
+        reportFile: report?.reportFile,
+        reportError: reportError
+    });
+    
+    return {
+        outcome: LOAD_OUTCOME.LOADED,
+        runId: runId,
+        sourceVersion: source.sourceVersion,
+        recordsLoaded: loaded.totalInserted,
+        file: loaded.stats,
+        changes: loaded.changeCounts,
+        report: report,
+        reportError: reportError
+    };
+}
+
+// Function to work out which council files an event asks to load
+async function resolveSources(event) {
+    // S3 ObjectCreated notifications: load exactly the uploaded versions
+    if (Array.isArray(event?.Records)) {
+        const sources = [];
+        for (const record of event.Records) {
+            const bucket = record.s3.bucket.name;
+            const key = decodeURIComponent(record.s3.object.key.replace(/\+/g, ' '));
+            const council = councils.findCouncilBySourceCsv(key);
+            if (!council) {
+                console.warn(`Ignoring s3://${bucket}/${key}: not a registered council's customer list`);
+                continue;
+            }
+            sources.push({ council, bucket, key, versionId: record.s3.object.versionId });
+        }
+        return sources;
+    }
+    
+    // Scheduled or manual run: every council (or the one named) from the configured bucket
+    const councilList = event?.council ? [councils.getCouncil(event.council)] : councils.listCouncils();
+    if (councilList.includes(undefined)) {
+        throw new Error(`Unknown council '${event.council}'`);
+    }
+    return councilList.map(council => ({ council, bucket: CSV_BUCKET, key: council.sourceCsv }));
+}
+
 export const handler = async (event) => {
     console.log('CSV Loader Lambda started');
     console.log('Event:', JSON.stringify(event, null, 2));
@@ -118,34 +868,70 @@ export const handler = async (event) => {
     const startTime = Date.now();
     
     try {
-        let allRecords = [];
-        
-        // Download and parse all CSV files
-        for (const fileName of CSV_FILES) {
-            const records = await downloadAndParseCSV(CSV_BUCKET, fileName);
-            allRecords = allRecords.concat(records);
+        // Operator actions name a council: rollback reverses its most recent load's
+        // changes, report republishes an applied run's change report
+        if (event?.action === 'rollback' || event?.action === 'report') {
+            const council = councils.getCouncil(event.council);
+            if (!council) {
+                throw new Error(`Unknown council '${event.council}'`);
+            }
+            
+            let result;
+            if (event.action === 'rollback') {
+                const { runId, changeCounts } = await rollbackLastLoad(council);
+                result = { runId: runId, changesReversed: changeCounts };
+            } else {
+                if (!event.runId) {
+                    throw new Error('runId is required to republish a change report');
+                }
+                result = { runId: event.runId, report: await publishChangeReport(council, event.runId) };
+            }
+            
+            return {
+                statusCode: 200,
+                body: JSON.stringify({
+                    success: true,
+                    action: event.action,
+                    council: council.id,
+                    ...result,
+                    timestamp: new Date().toISOString()
+                })
+            };
         }
         
-        console.log(`Total records to load: ${allRecords.length}`);
+        const sources = await resolveSources(event);
         
-        // Load all records to database
-        const recordsLoaded = await loadRecordsToDatabase(allRecords);
+        // Each council loads independently, so one council's bad or missing file doesn't block another
+        const loads = {};
+        for (const { council, bucket, key, versionId } of sources) {
+            try {
+                const source = await describeSourceObject(bucket, key, versionId);
+                loads[council.id] = await loadCouncilFile(council, source, Boolean(event?.force));
+            } catch (error) {
+                console.error(`Load of ${council.id} failed:`, error);
+                loads[council.id] = { outcome: LOAD_OUTCOME.FAILED, error: error.message };
+            }
+        }
         
         const endTime = Date.now();
         const duration = (endTime - startTime) / 1000;
         
+        const failed = Object.keys(loads).filter(id => [LOAD_OUTCOME.FAILED, LOAD_OUTCOME.REJECTED].includes(loads[id].outcome));
         const result = {
-            success: true,
-            recordsLoaded: recordsLoaded,
-            filesProcessed: CSV_FILES.length,
+            success: failed.length === 0,
+            loads: loads,
             duration: `${duration} seconds`,
             timestamp: new Date().toISOString()
         };
         
-        console.log('CSV loading completed:', result);
+        if (failed.length > 0) {
+            console.error(`CSV loading failed for ${failed.join(', ')}:`, result);
+        } else {
+            console.log('CSV loading completed:', result);
+        }
         
         return {
-            statusCode: 200,
+            statusCode: failed.length > 0 ? 500 : 200,
             body: JSON.stringify(result)
         };
         
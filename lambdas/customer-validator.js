@@ -1,34 +1,80 @@
-const mysql = require('mysql2/promise');
-const { SecretsManagerClient, GetSecretValueCommand } = require('@aws-sdk/client-secrets-manager');
+const { SSMClient, GetParameterCommand } = require('@aws-sdk/client-ssm');
+const { findCouncilByCustomerNumber } = require('../config/councils');
+const database = require('./shared/database');
+const rateLimiter = require('./shared/rate-limiter');
+const { issueValidationToken } = require('./shared/validation-token');
+const { loadConfig } = require('./shared/environment-config');
 
-const secretsClient = new SecretsManagerClient({ region: 'eu-west-2' });
-const SECRET_NAME = 'rds-credentials-secret';
+// Environment settings, checked at cold start
+const config = loadConfig();
 
-// Get RDS credentials from Secrets Manager
-async function getRDSCredentials() {
-    try {
-        const command = new GetSecretValueCommand({ SecretId: SECRET_NAME });
-        const response = await secretsClient.send(command);
-        const secret = JSON.parse(response.SecretString);
-        
-        return {
-            host: process.env.DB_HOST, // RDS-managed secrets don't include host
-            user: secret.username,
-            password: secret.password,
-            database: process.env.DB_NAME || 'customers',
-            port: parseInt(process.env.DB_PORT) || 3306
-        };
-    } catch (error) {
-        console.error('Failed to retrieve RDS credentials from Secrets Manager:', error);
-        throw error;
+const ssmClient = new SSMClient({ region: config.region });
+
+// Lifetime of the token handed to the form processor after a successful match
+const VALIDATION_TOKEN_TTL_SECONDS = parseInt(process.env.VALIDATION_TOKEN_TTL_SECONDS) || 900;
+
+// Validation token signing secrets, cached per council for warm invocations
+const tokenSecretCache = new Map();
+
+// Recent successful lookups, kept for warm invocations. Only matches are cached,
+// so a customer added by tonight's load is never told "No match" from the cache.
+const POSITIVE_CACHE_TTL_MS = (parseInt(process.env.POSITIVE_CACHE_TTL_SECONDS) || 300) * 1000;
+const POSITIVE_CACHE_MAX_ENTRIES = 1000;
+const positiveLookups = new Map();
+
+// Function to build the cache key for a customer number and postcode, ignoring postcode spacing
+function lookupKey(customerNumber, postcode) {
+    return `${customerNumber}|${postcode.replace(/\s/g, '')}`;
+}
+
+// Function to check for a recent successful lookup
+function isCachedMatch(customerNumber, postcode) {
+    const key = lookupKey(customerNumber, postcode);
+    const expiresAt = positiveLookups.get(key);
+    if (expiresAt === undefined) {
+        return false;
+    }
+    if (expiresAt <= Date.now()) {
+        positiveLookups.delete(key);
+        return false;
+    }
+    return true;
+}
+
+// Function to remember a successful lookup, evicting the oldest once the cache is full
+function cacheMatch(customerNumber, postcode) {
+    const key = lookupKey(customerNumber, postcode);
+    positiveLookups.delete(key);
+    if (positiveLookups.size >= POSITIVE_CACHE_MAX_ENTRIES) {
+        positiveLookups.delete(positiveLookups.keys().next().value);
+    }
+    positiveLookups.set(key, Date.now() + POSITIVE_CACHE_TTL_MS);
+}
+
+// Function to check the customers table for a customer number and postcode
+async function findCustomer(customerNumber, postcode) {
+    if (isCachedMatch(customerNumber, postcode)) {
+        return true;
     }
+    
+    // Use REPLACE to normalize spaces for comparison
+    const [rows] = await database.execute(
+        'SELECT customer_number FROM customers WHERE customer_number = ? AND REPLACE(postcode, " ", "") = REPLACE(?, " ", "") LIMIT 1',
+        [customerNumber, postcode]
+    );
+    
+    if (rows.length > 0) {
+        cacheMatch(customerNumber, postcode);
+        return true;
+    }
+    return false;
 }
 
 // Input validation and sanitization
 function validateAndSanitizeInput(customerNumber, postcode) {
-    // Sanitize customer number - only allow digits and specific prefixes
+    // Sanitize customer number - only allow digits matching a registered council
     const sanitizedCustomerNumber = customerNumber.replace(/[^0-9]/g, '');
-    if (!/^(1000|2000)\d{7}$/.test(sanitizedCustomerNumber)) {
+    if (!findCouncilByCustomerNumber(sanitizedCustomerNumber)) {
         throw new Error('Invalid customer number format');
     }
     
@@ -43,11 +89,7 @@ function validateAndSanitizeInput(customerNumber, postcode) {
 
 // CORS validation
 function getCorsHeaders(origin) {
-    const allowedOrigins = [
-        'https://forms.council-a.gov.uk',
-        'https://forms.council-b.gov.uk',
-        'https://s3.eu-west-2.amazonaws.com'
-    ];
+    const allowedOrigins = config.allowedOrigins;
     
     const corsOrigin = allowedOrigins.includes(origin) ? origin : 'null';
     
@@ -59,6 +101,82 @@ function getCorsHeaders(origin) {
     };
 }
 
+// Function to get a council's validation token signing secret from SSM
+async function getTokenSecret(council) {
+    if (tokenSecretCache.has(council.id)) {
+        return tokenSecretCache.get(council.id);
+    }
+    
+    const command = new GetParameterCommand({
+        Name: config.councils[council.id].validationTokenSecretPath,
+        WithDecryption: true
+    });
+    
+    try {
+        const response = await ssmClient.send(command);
+        tokenSecretCache.set(council.id, response.Parameter.Value);
+        return response.Parameter.Value;
+    } catch (error) {
+        console.error(`Error getting validation token secret for ${council.id}:`, error);
+        throw error;
+    }
+}
+
+// Function to build the response for a throttled or locked-out request
+function tooManyAttempts(corsHeaders, retryAfterSeconds) {
+    return {
+        statusCode: 429,
+        headers: { ...corsHeaders, 'Retry-After': String(retryAfterSeconds) },
+        body: JSON.stringify({ error: 'Too many attempts. Please try again later.' })
+    };
+}
+
+// Function to build the response for a request the rate limiter couldn't check
+function limiterUnavailable(corsHeaders) {
+    return {
+        statusCode: 503,
+        headers: corsHeaders,
+        body: JSON.stringify({ error: 'Unable to verify customer details. Please try again.' })
+    };
+}
+
+// Function to check lockouts and count the request, returning a response if it must be refused.
+// Fails closed: while the limiter table is unavailable nothing stops enumeration, so validation stops too.
+async function enforceRateLimits(subjects, limits, corsHeaders) {
+    try {
+        const lockout = await rateLimiter.checkLockouts(subjects);
+        if (lockout.locked) {
+            console.warn('Refusing locked-out request');
+            return tooManyAttempts(corsHeaders, lockout.retryAfterSeconds);
+        }
+        
+        const usage = await rateLimiter.recordRequest(subjects, limits);
+        if (usage.throttled) {
+            console.warn('Throttling request over the rate limit');
+            return tooManyAttempts(corsHeaders, usage.retryAfterSeconds);
+        }
+    } catch (error) {
+        console.error('Rate limiter unavailable, refusing request:', error);
+        return limiterUnavailable(corsHeaders);
+    }
+    return null;
+}
+
+// Function to count a "No match" towards the escalating lockouts, returning whether it was recorded.
+// An unrecorded miss is refused like enforceRateLimits, so it never reaches the caller uncounted.
+async function recordMiss(subjects, limits) {
+    try {
+        const result = await rateLimiter.recordMiss(subjects, limits);
+        if (result.lockedOut) {
+            console.warn(`Locked out after repeated misses for ${result.retryAfterSeconds} seconds`);
+        }
+        return true;
+    } catch (error) {
+        console.error('Rate limiter unavailable, miss not recorded:', error);
+        return false;
+    }
+}
+
 exports.handler = async (event) => {
     const origin = event.headers?.origin || event.headers?.Origin;
     console.log('Request origin:', origin);
@@ -90,28 +208,47 @@ exports.handler = async (event) => {
             };
         }
     
-        let connection;
+        // Limits are per council, on the caller's IP and on the customer number from that IP
+        const sourceIp = event.requestContext?.identity?.sourceIp || event.requestContext?.http?.sourceIp;
+        // Every enforced limit is keyed on the IP, so without one the request can't be limited
+        if (!sourceIp) {
+            console.error('Refusing request with no source IP');
+            return limiterUnavailable(corsHeaders);
+        }
+        const council = findCouncilByCustomerNumber(validCustomerNumber);
+        const limits = rateLimiter.getLimits(council);
+        const subjects = rateLimiter.buildSubjects(sourceIp, validCustomerNumber);
+        
+        const refused = await enforceRateLimits(subjects, limits, corsHeaders);
+        if (refused) {
+            return refused;
+        }
+    
         try {
-            // Get RDS credentials from Secrets Manager
-            const dbConfig = await getRDSCredentials();
+            // Query database (or recent matches) for customer using sanitized inputs
+            const found = await findCustomer(validCustomerNumber, validPostcode);
             
-            // Connect to MySQL
-            connection = await mysql.createConnection(dbConfig);
-            
-            // Query database for customer using sanitized inputs
-            // Use REPLACE to normalize spaces for comparison
-            const [rows] = await connection.execute(
-                'SELECT customer_number FROM customers WHERE customer_number = ? AND REPLACE(postcode, " ", "") = REPLACE(?, " ", "") LIMIT 1',
-                [validCustomerNumber, validPostcode]
-            );
-            
-            if (rows.length > 0) {
+            if (found) {
+                // The form processor only accepts submissions carrying this token
+                const validationToken = issueValidationToken(await getTokenSecret(council), {
+                    customerNumber: validCustomerNumber,
+                    postcode: validPostcode,
+                    council: council.id
+                }, VALIDATION_TOKEN_TTL_SECONDS);
+                
                 return {
                     statusCode: 200,
                     headers: corsHeaders,
-                    body: JSON.stringify({ message: 'Valid customer and postcode' })
+                    body: JSON.stringify({
+                        message: 'Valid customer and postcode',
+                        validationToken: validationToken,
+                        expiresIn: VALIDATION_TOKEN_TTL_SECONDS
+                    })
                 };
             } else {
+                if (!await recordMiss(subjects, limits)) {
+                    return limiterUnavailable(corsHeaders);
+                }
                 return {
                     statusCode: 400,
                     headers: corsHeaders,
@@ -120,16 +257,12 @@ exports.handler = async (event) => {
             }
             
         } catch (error) {
-            console.error(`Database error: ${error}`);
+            console.error(`Lookup error: ${error}`);
             return {
                 statusCode: 500,
                 headers: corsHeaders,
                 body: JSON.stringify({ error: 'Unable to verify customer details. Please try again.' })
             };
-        } finally {
-            if (connection) {
-                await connection.end();
-            }
         }
     } catch (error) {
         console.error(`Validation error: ${error}`);
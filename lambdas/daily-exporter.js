@@ -1,41 +1,116 @@
-const { DynamoDBClient, ScanCommand, UpdateItemCommand } = require('@aws-sdk/client-dynamodb');
-const { S3Client, PutObjectCommand } = require('@aws-sdk/client-s3');
+const crypto = require('crypto');
+const { DynamoDBClient, QueryCommand, ScanCommand, UpdateItemCommand, GetItemCommand, PutItemCommand } = require('@aws-sdk/client-dynamodb');
+const { S3Client, PutObjectCommand, HeadObjectCommand } = require('@aws-sdk/client-s3');
+const { KMSClient } = require('@aws-sdk/client-kms');
+const { listCouncils, getCouncil } = require('../config/councils');
+const { SUBMISSION_STATUS, ROLLBACK_FROM_STATUSES } = require('./shared/submission-status');
+const { formatRecord } = require('./shared/fixed-width');
+const { ERP_LAYOUTS, buildErpFile } = require('./shared/erp-file');
+const { decryptBankDetails, validateBankDetails } = require('./shared/bank-details');
+const { buildAuddisFile } = require('./shared/standard18');
+const { loadConfig } = require('./shared/environment-config');
+
+// Environment settings, checked at cold start
+const config = loadConfig();
 
 // Initialize AWS clients
-const dynamoClient = new DynamoDBClient({ region: 'eu-west-2' });
-const s3Client = new S3Client({ region: 'eu-west-2' });
+const dynamoClient = new DynamoDBClient({ region: config.region });
+const s3Client = new S3Client({ region: config.region });
+const kmsClient = new KMSClient({ region: config.region });
 
 // Configuration from environment variables
-const TABLE_NAME = process.env.TABLE_NAME || 'DirectDebitSubmissions';
-const EXPORT_BUCKET = process.env.EXPORT_BUCKET || 'export-files-to-erp';
+const TABLE_NAME = config.tables.submissions;
+const EXPORT_BUCKET = config.buckets.export;
+// GSI with partition key "status" (projection ALL). Set to an empty string to fall back to a paginated scan.
+const STATUS_INDEX_NAME = process.env.STATUS_INDEX_NAME ?? 'status-submissionDate-index';
+// Holds each council's last delivered file sequence number and the batch holding the next one (partition key "council")
+const EXPORT_STATE_TABLE = config.tables.exportState;
+// One item per export batch (partition key "council", sort key "batchId") holding its manifest
+const EXPORT_BATCH_TABLE = config.tables.exportBatches;
+// How long a building batch belongs to the run building it without being renewed. Longer than a
+// Lambda can run, so an expired lease means that run has died and recovery can take the batch over.
+const BATCH_LEASE_SECONDS = parseInt(process.env.EXPORT_BATCH_LEASE_SECONDS) || 1200;
+
+// Export batch lifecycle:
+//   building -> uploaded -> completed
+//   building -> abandoned                (nothing was uploaded)
+//   uploaded | completed -> rolled_back  (operator action)
+const BATCH_STATUS = {
+    BUILDING: 'building',
+    UPLOADED: 'uploaded',
+    COMPLETED: 'completed',
+    ABANDONED: 'abandoned',
+    ROLLED_BACK: 'rolled_back'
+};
 
-// Function to scan DynamoDB for approved, unexported records
+// Function to read approved, unexported records, following LastEvaluatedKey until exhausted
 async function getApprovedRecords() {
-    const params = {
+    const useIndex = Boolean(STATUS_INDEX_NAME);
+    const baseParams = {
         TableName: TABLE_NAME,
-        FilterExpression: '#status = :status AND #exported = :exported',
         ExpressionAttributeNames: {
             '#status': 'status',
             '#exported': 'exported'
         },
         ExpressionAttributeValues: {
-            ':status': { S: 'approved' },
+            ':status': { S: SUBMISSION_STATUS.APPROVED },
             ':exported': { BOOL: false }
         }
     };
     
+    if (useIndex) {
+        baseParams.IndexName = STATUS_INDEX_NAME;
+        baseParams.KeyConditionExpression = '#status = :status';
+        // Records written before the exported -> status change still carry the flag;
+        // records claimed by an unfinished batch are completed by batch recovery instead
+        baseParams.FilterExpression = '#exported = :exported AND attribute_not_exists(#exportBatchId)';
+    } else {
+        baseParams.FilterExpression = '#status = :status AND #exported = :exported AND attribute_not_exists(#exportBatchId)';
+    }
+    baseParams.ExpressionAttributeNames['#exportBatchId'] = 'exportBatchId';
+    
+    const items = [];
+    const stats = {
+        source: useIndex ? `query:${STATUS_INDEX_NAME}` : 'scan',
+        pagesRead: 0,
+        itemsEvaluated: 0,
+        itemsRead: 0
+    };
+    let exclusiveStartKey;
+    
     try {
-        const result = await dynamoClient.send(new ScanCommand(params));
-        console.log(`Found ${result.Items.length} approved, unexported records`);
-        return result.Items;
+        do {
+            const params = { ...baseParams, ExclusiveStartKey: exclusiveStartKey };
+            const result = await dynamoClient.send(useIndex ? new QueryCommand(params) : new ScanCommand(params));
+            
+            stats.pagesRead++;
+            stats.itemsEvaluated += result.ScannedCount || 0;
+            stats.itemsRead += result.Items.length;
+            items.push(...result.Items);
+            
+            exclusiveStartKey = result.LastEvaluatedKey;
+        } while (exclusiveStartKey);
+        
+        console.log(`Found ${items.length} approved, unexported records`, stats);
+        return { items, stats };
     } catch (error) {
-        console.error('Error scanning DynamoDB:', error);
+        console.error(`Error reading approved records (${stats.source}, ${stats.pagesRead} pages read):`, error);
         throw error;
     }
 }
 
-// Function to convert DynamoDB record to fixed-width format
-function recordToFixedWidth(record) {
+// Function to decrypt a record's bank details, rejecting records without complete details
+async function loadBankDetails(record) {
+    const bankDetails = await decryptBankDetails(kmsClient, record);
+    const problems = validateBankDetails(bankDetails);
+    if (problems.length > 0) {
+        throw new Error(`Invalid bank details: ${problems.join(', ')}`);
+    }
+    return bankDetails;
+}
+
+// Function to convert DynamoDB record to the values of an ERP detail record
+function recordToErpValues(record, bankDetails) {
     // Extract data from DynamoDB item
     const customerNumber = record.customerNumber?.S || '';
     const email = record.email?.S || '';
@@ -45,110 +120,907 @@ function recordToFixedWidth(record) {
     const date = new Date(submissionDate);
     const formattedDate = date.toISOString().slice(0, 10).replace(/-/g, ''); // YYYYMMDD
     
-    // Build fixed-width record (606 characters total)
-    let fixedWidthRecord = '';
+    return {
+        customerNumber: customerNumber,
+        // Validated as 6 and 8 digits, so always fits the agreed 35-character field
+        bankAccount: `${bankDetails.sortCode}${bankDetails.accountNumber}`,
+        reference: `AR_40_DDI_${formattedDate} ##${email}## `,
+        // Profile copied onto the submission from the customer load, if the council supplies it.
+        // Never truncated: a value too long for its field rejects the record.
+        customerName: record.customerName?.S || '',
+        accountType: record.accountType?.S || '',
+        balanceBand: record.balanceBand?.S || ''
+    };
+}
+
+// Function to build a batch ID from its run date and sequence number
+function buildBatchId(runDate, sequenceNumber) {
+    return `${runDate}-${String(sequenceNumber).padStart(6, '0')}`;
+}
+
+// Function to read a council's export sequence state
+async function getExportState(councilId) {
+    const params = {
+        TableName: EXPORT_STATE_TABLE,
+        Key: {
+            council: { S: councilId }
+        },
+        ConsistentRead: true
+    };
+    
+    try {
+        const result = await dynamoClient.send(new GetItemCommand(params));
+        return {
+            lastSequenceNumber: Number(result.Item?.lastSequenceNumber?.N || 0),
+            pendingBatchId: result.Item?.pendingBatchId?.S,
+            pendingSequenceNumber: Number(result.Item?.pendingSequenceNumber?.N || 0)
+        };
+    } catch (error) {
+        console.error(`Error reading export state for ${councilId}:`, error);
+        throw error;
+    }
+}
+
+// Function to reserve the number after the last delivered file for a new batch. Only one batch per
+// council holds a reservation; the number is committed once the batch's files are uploaded, or
+// released for the next batch to reuse if it is abandoned, so the ERP never sees a gap.
+async function reserveSequenceNumber(councilId, runDate) {
+    const state = await getExportState(councilId);
+    if (state.pendingBatchId) {
+        throw new Error(`Export sequence for ${councilId} is still reserved by batch ${state.pendingBatchId}; the next run's recovery settles it`);
+    }
+    
+    const sequenceNumber = state.lastSequenceNumber + 1;
+    const batchId = buildBatchId(runDate, sequenceNumber);
+    const params = {
+        TableName: EXPORT_STATE_TABLE,
+        Key: {
+            council: { S: councilId }
+        },
+        UpdateExpression: 'SET #pendingBatchId = :batchId, #pendingSequenceNumber = :sequenceNumber, #updatedAt = :updatedAt',
+        // Guards against another run reserving or committing since the state was read
+        ConditionExpression: 'attribute_not_exists(#pendingBatchId) AND (attribute_not_exists(#lastSequenceNumber) OR #lastSequenceNumber = :lastSequenceNumber)',
+        ExpressionAttributeNames: {
+            '#pendingBatchId': 'pendingBatchId',
+            '#pendingSequenceNumber': 'pendingSequenceNumber',
+            '#lastSequenceNumber': 'lastSequenceNumber',
+            '#updatedAt': 'updatedAt'
+        },
+        ExpressionAttributeValues: {
+            ':batchId': { S: batchId },
+            ':sequenceNumber': { N: String(sequenceNumber) },
+            ':lastSequenceNumber': { N: String(state.lastSequenceNumber) },
+            ':updatedAt': { S: new Date().toISOString() }
+        }
+    };
+    
+    try {
+        await dynamoClient.send(new UpdateItemCommand(params));
+        return { sequenceNumber, batchId };
+    } catch (error) {
+        if (error.name === 'ConditionalCheckFailedException') {
+            throw new Error(`Export sequence for ${councilId} changed while reserving; another export is running`);
+        }
+        console.error(`Error reserving export sequence number for ${councilId}:`, error);
+        throw error;
+    }
+}
+
+// Function to settle a batch's sequence reservation: commit it once the files are delivered,
+// or release it for reuse. Does nothing if the reservation has already been settled.
+async function settleSequenceNumber(councilId, batchId, sequenceNumber, delivered) {
+    const params = {
+        TableName: EXPORT_STATE_TABLE,
+        Key: {
+            council: { S: councilId }
+        },
+        UpdateExpression: 'SET #updatedAt = :updatedAt REMOVE #pendingBatchId, #pendingSequenceNumber',
+        ConditionExpression: '#pendingBatchId = :batchId',
+        ExpressionAttributeNames: {
+            '#pendingBatchId': 'pendingBatchId',
+            '#pendingSequenceNumber': 'pendingSequenceNumber',
+            '#updatedAt': 'updatedAt'
+        },
+        ExpressionAttributeValues: {
+            ':batchId': { S: batchId },
+            ':updatedAt': { S: new Date().toISOString() }
+        }
+    };
+    
+    if (delivered) {
+        params.UpdateExpression = 'SET #lastSequenceNumber = :sequenceNumber, #updatedAt = :updatedAt REMOVE #pendingBatchId, #pendingSequenceNumber';
+        params.ExpressionAttributeNames['#lastSequenceNumber'] = 'lastSequenceNumber';
+        params.ExpressionAttributeValues[':sequenceNumber'] = { N: String(sequenceNumber) };
+    }
+    
+    try {
+        await dynamoClient.send(new UpdateItemCommand(params));
+        console.log(`Export sequence number ${sequenceNumber} for ${councilId} ${delivered ? 'committed' : 'released'} (batch ${batchId})`);
+    } catch (error) {
+        if (error.name === 'ConditionalCheckFailedException') {
+            return;
+        }
+        console.error(`Error settling export sequence number for ${councilId}:`, error);
+        throw error;
+    }
+}
+
+// Function to settle a reservation left by a run that died, according to what became of its batch
+async function settleStaleReservation(councilId) {
+    const state = await getExportState(councilId);
+    if (!state.pendingBatchId) {
+        return;
+    }
+    
+    const batch = await getBatch(councilId, state.pendingBatchId);
+    if (batch && batch.status === BATCH_STATUS.BUILDING) {
+        // Recovery runs first, so a batch still building here is another run's
+        return;
+    }
+    
+    // A batch that was never created, or was abandoned, delivered nothing
+    const delivered = Boolean(batch) && batch.status !== BATCH_STATUS.ABANDONED;
+    await settleSequenceNumber(councilId, state.pendingBatchId, state.pendingSequenceNumber, delivered);
+}
+
+// Function to calculate the SHA-256 checksum recorded in a batch manifest
+function checksum(content) {
+    return crypto.createHash('sha256').update(content, 'utf8').digest('hex');
+}
+
+// Function to substitute {date} and {sequence} into a file name template
+function buildFileName(template, runDate, sequenceNumber) {
+    return template
+        .replace('{date}', runDate)
+        .replace('{sequence}', String(sequenceNumber).padStart(6, '0'));
+}
+
+// Function to turn a YYYYMMDD run date back into a Date
+function runDateToDate(runDate) {
+    return new Date(Date.UTC(Number(runDate.slice(0, 4)), Number(runDate.slice(4, 6)) - 1, Number(runDate.slice(6, 8))));
+}
+
+// Function to decrypt and validate records, splitting them into exportable and rejected
+async function prepareRecords(council, records) {
+    const prepared = [];
+    const rejected = [];
+    
+    // Invalid records stay approved and unexported so they are reported again tomorrow
+    for (const record of records) {
+        try {
+            const bankDetails = await loadBankDetails(record);
+            const erpValues = recordToErpValues(record, bankDetails);
+            // Format now so a value that doesn't fit the layout rejects only this record
+            formatRecord(ERP_LAYOUTS.detail, erpValues);
+            prepared.push({
+                submissionId: record.submissionId.S,
+                erpValues: erpValues,
+                instruction: {
+                    sortCode: bankDetails.sortCode,
+                    accountNumber: bankDetails.accountNumber,
+                    accountName: bankDetails.accountName,
+                    // Matches the DdPlanReference sent to the verification service
+                    reference: record.customerNumber.S
+                }
+            });
+        } catch (error) {
+            console.error(`Rejected submission ${record.submissionId.S} from ${council.id} export: ${error.message}`);
+            rejected.push({ submissionId: record.submissionId.S, reason: error.message });
+        }
+    }
+    
+    return { prepared, rejected };
+}
+
+// Function to build a batch's files. Depends only on the batch and its records,
+// so a replay of the same batch produces the same bytes.
+function buildBatchFiles(council, runDate, sequenceNumber, prepared) {
+    const prefix = council.export.prefix || '';
+    const files = [];
     
-    // Position 1-2: Record type (always "2")
-    fixedWidthRecord += '2'.padStart(2, ' ');
+    const erpContent = buildErpFile({
+        council: council.id,
+        runDate: runDate,
+        sequenceNumber: sequenceNumber,
+        details: prepared.map(entry => entry.erpValues)
+    });
+    files.push({
+        kind: 'erp',
+        bucket: EXPORT_BUCKET,
+        key: `${prefix}${buildFileName(council.export.fileNameTemplate, runDate, sequenceNumber)}`,
+        content: erpContent
+    });
     
-    // Position 3-27: Customer number (right-aligned, 25 chars)
-    fixedWidthRecord += customerNumber.padStart(25, ' ');
+    if (council.bacs) {
+        const auddisContent = buildAuddisFile({
+            bacs: council.bacs,
+            instructions: prepared.map(entry => entry.instruction),
+            runDate: runDateToDate(runDate),
+            volumeSerialNumber: sequenceNumber % 1000000
+        });
+        files.push({
+            kind: 'auddis',
+            bucket: EXPORT_BUCKET,
+            key: `${prefix}${buildFileName(council.bacs.fileNameTemplate, runDate, sequenceNumber)}`,
+            content: auddisContent
+        });
+    }
     
-    // Position 28-31: Filler spaces
-    fixedWidthRecord += '    ';
+    return files.map(file => ({ ...file, sha256: checksum(file.content), size: Buffer.byteLength(file.content, 'utf8') }));
+}
+
+// Function to convert a batch item from DynamoDB into a plain manifest object
+function itemToBatch(item) {
+    return {
+        council: item.council.S,
+        batchId: item.batchId.S,
+        runDate: item.runDate.S,
+        sequenceNumber: Number(item.sequenceNumber.N),
+        status: item.status.S,
+        candidateIds: (item.candidateIds?.L || []).map(value => value.S),
+        submissionIds: (item.submissionIds?.L || []).map(value => value.S),
+        files: (item.files?.L || []).map(value => ({
+            kind: value.M.kind.S,
+            bucket: value.M.bucket.S,
+            key: value.M.key.S,
+            sha256: value.M.sha256.S,
+            size: Number(value.M.size.N)
+        })),
+        createdAt: item.createdAt?.S,
+        leaseExpiresAt: item.leaseExpiresAt?.S
+    };
+}
+
+// Function to get the expiry time of a lease taken or renewed now
+function leaseExpiry() {
+    return new Date(Date.now() + BATCH_LEASE_SECONDS * 1000).toISOString();
+}
+
+// Function to create the manifest item for a new batch
+async function createBatch(batch) {
+    const params = {
+        TableName: EXPORT_BATCH_TABLE,
+        Item: {
+            council: { S: batch.council },
+            batchId: { S: batch.batchId },
+            runDate: { S: batch.runDate },
+            sequenceNumber: { N: String(batch.sequenceNumber) },
+            status: { S: BATCH_STATUS.BUILDING },
+            // Every record the batch may claim, so recovery can release claims made before a crash
+            candidateIds: { L: batch.candidateIds.map(id => ({ S: id })) },
+            submissionIds: { L: [] },
+            files: { L: [] },
+            createdAt: { S: new Date().toISOString() },
+            leaseExpiresAt: { S: leaseExpiry() }
+        },
+        // An abandoned batch delivered nothing, so the batch that reuses its sequence number replaces it
+        ConditionExpression: 'attribute_not_exists(#batchId) OR #status = :abandoned',
+        ExpressionAttributeNames: {
+            '#batchId': 'batchId',
+            '#status': 'status'
+        },
+        ExpressionAttributeValues: {
+            ':abandoned': { S: BATCH_STATUS.ABANDONED }
+        }
+    };
     
-    // Position 32-66: Bank account number (placeholder - would come from third-party data)
-    fixedWidthRecord += '1234567890123456789012345'.padStart(35, ' ');
+    try {
+        await dynamoClient.send(new PutItemCommand(params));
+        console.log(`Created export batch ${batch.council}/${batch.batchId}`);
+    } catch (error) {
+        console.error(`Error creating export batch ${batch.council}/${batch.batchId}:`, error);
+        throw error;
+    }
+}
+
+// Function to update a batch manifest, guarded on its current status
+async function updateBatch(councilId, batchId, fromStatus, toStatus, attributes = {}) {
+    const params = {
+        TableName: EXPORT_BATCH_TABLE,
+        Key: {
+            council: { S: councilId },
+            batchId: { S: batchId }
+        },
+        UpdateExpression: 'SET #status = :toStatus, #updatedAt = :updatedAt',
+        ConditionExpression: '#status = :fromStatus',
+        ExpressionAttributeNames: {
+            '#status': 'status',
+            '#updatedAt': 'updatedAt'
+        },
+        ExpressionAttributeValues: {
+            ':fromStatus': { S: fromStatus },
+            ':toStatus': { S: toStatus },
+            ':updatedAt': { S: new Date().toISOString() }
+        }
+    };
     
-    // Position 67-192: Various filler fields (126 chars)
-    fixedWidthRecord += ' '.repeat(126);
+    Object.entries(attributes).forEach(([name, value]) => {
+        params.UpdateExpression += `, #${name} = :${name}`;
+        params.ExpressionAttributeNames[`#${name}`] = name;
+        params.ExpressionAttributeValues[`:${name}`] = value;
+    });
     
-    // Position 193-447: Special field with date + email (255 chars)
-    const specialField = `AR_40_DDI_${formattedDate} ##${email}## `;
-    fixedWidthRecord += specialField.padEnd(255, ' ');
+    try {
+        await dynamoClient.send(new UpdateItemCommand(params));
+        console.log(`Export batch ${councilId}/${batchId}: ${fromStatus} -> ${toStatus}`);
+    } catch (error) {
+        console.error(`Error moving export batch ${councilId}/${batchId} from ${fromStatus} to ${toStatus}:`, error);
+        throw error;
+    }
+}
+
+// Function to renew the lease of a batch this run is building
+async function renewLease(councilId, batchId) {
+    await updateBatch(councilId, batchId, BATCH_STATUS.BUILDING, BATCH_STATUS.BUILDING, {
+        leaseExpiresAt: { S: leaseExpiry() }
+    });
+}
+
+// Function to take over a building batch whose lease has expired, returning false if it is still
+// leased (another run is building it) or no longer building
+async function takeOverExpiredBatch(councilId, batchId) {
+    const now = new Date().toISOString();
+    const params = {
+        TableName: EXPORT_BATCH_TABLE,
+        Key: {
+            council: { S: councilId },
+            batchId: { S: batchId }
+        },
+        UpdateExpression: 'SET #leaseExpiresAt = :leaseExpiresAt, #updatedAt = :now',
+        // Batches from before leases were recorded have none, and are treated as expired
+        ConditionExpression: '#status = :building AND (attribute_not_exists(#leaseExpiresAt) OR #leaseExpiresAt < :now)',
+        ExpressionAttributeNames: {
+            '#status': 'status',
+            '#leaseExpiresAt': 'leaseExpiresAt',
+            '#updatedAt': 'updatedAt'
+        },
+        ExpressionAttributeValues: {
+            ':building': { S: BATCH_STATUS.BUILDING },
+            ':leaseExpiresAt': { S: leaseExpiry() },
+            ':now': { S: now }
+        }
+    };
     
-    // Position 448-529: More filler fields (82 chars)
-    fixedWidthRecord += ' '.repeat(82);
+    try {
+        await dynamoClient.send(new UpdateItemCommand(params));
+        return true;
+    } catch (error) {
+        if (error.name === 'ConditionalCheckFailedException') {
+            return false;
+        }
+        console.error(`Error taking over export batch ${councilId}/${batchId}:`, error);
+        throw error;
+    }
+}
+
+// Function to get a batch manifest
+async function getBatch(councilId, batchId) {
+    const params = {
+        TableName: EXPORT_BATCH_TABLE,
+        Key: {
+            council: { S: councilId },
+            batchId: { S: batchId }
+        }
+    };
     
-    // Position 530-531: Transaction type (always "DD")
-    fixedWidthRecord += 'DD';
+    try {
+        const result = await dynamoClient.send(new GetItemCommand(params));
+        return result.Item ? itemToBatch(result.Item) : undefined;
+    } catch (error) {
+        console.error(`Error getting export batch ${councilId}/${batchId}:`, error);
+        throw error;
+    }
+}
+
+// Function to list a council's batches, optionally only those for one run date or in given statuses
+async function findBatches(councilId, { runDate, statuses } = {}) {
+    const params = {
+        TableName: EXPORT_BATCH_TABLE,
+        KeyConditionExpression: '#council = :council',
+        ExpressionAttributeNames: { '#council': 'council' },
+        ExpressionAttributeValues: { ':council': { S: councilId } }
+    };
     
-    // Position 532-559: Filler spaces (28 chars)
-    fixedWidthRecord += ' '.repeat(28);
+    if (runDate) {
+        params.KeyConditionExpression += ' AND begins_with(#batchId, :runDate)';
+        params.ExpressionAttributeNames['#batchId'] = 'batchId';
+        params.ExpressionAttributeValues[':runDate'] = { S: runDate };
+    }
+    if (statuses) {
+        params.FilterExpression = `#status IN (${statuses.map((status, index) => `:status${index}`).join(', ')})`;
+        params.ExpressionAttributeNames['#status'] = 'status';
+        statuses.forEach((status, index) => {
+            params.ExpressionAttributeValues[`:status${index}`] = { S: status };
+        });
+    }
     
-    // Position 560: Status flag (always "W")
-    fixedWidthRecord += 'W';
+    const batches = [];
+    let exclusiveStartKey;
     
-    // Position 561-606: Final filler spaces (46 chars)
-    fixedWidthRecord += ' '.repeat(46);
+    try {
+        do {
+            const result = await dynamoClient.send(new QueryCommand({ ...params, ExclusiveStartKey: exclusiveStartKey }));
+            batches.push(...result.Items.map(itemToBatch));
+            exclusiveStartKey = result.LastEvaluatedKey;
+        } while (exclusiveStartKey);
+        return batches;
+    } catch (error) {
+        console.error(`Error listing export batches for ${councilId}:`, error);
+        throw error;
+    }
+}
+
+// Function to stamp records with a batch ID. Returns the IDs that were claimed;
+// a record already claimed by another batch is left alone.
+async function claimRecords(batchId, submissionIds) {
+    const claimed = [];
     
-    // Ensure exactly 606 characters
-    if (fixedWidthRecord.length !== 606) {
-        console.warn(`Record length mismatch: expected 606, got ${fixedWidthRecord.length}`);
-        fixedWidthRecord = fixedWidthRecord.substring(0, 606).padEnd(606, ' ');
+    for (const submissionId of submissionIds) {
+        const params = {
+            TableName: TABLE_NAME,
+            Key: {
+                submissionId: { S: submissionId }
+            },
+            UpdateExpression: 'SET #exportBatchId = :batchId',
+            ConditionExpression: '#status = :approvedStatus AND attribute_not_exists(#exportBatchId)',
+            ExpressionAttributeNames: {
+                '#status': 'status',
+                '#exportBatchId': 'exportBatchId'
+            },
+            ExpressionAttributeValues: {
+                ':approvedStatus': { S: SUBMISSION_STATUS.APPROVED },
+                ':batchId': { S: batchId }
+            }
+        };
+        
+        try {
+            await dynamoClient.send(new UpdateItemCommand(params));
+            claimed.push(submissionId);
+        } catch (error) {
+            if (error.name !== 'ConditionalCheckFailedException') {
+                throw error;
+            }
+            console.warn(`Submission ${submissionId} is no longer available for batch ${batchId}`);
+        }
     }
     
-    return fixedWidthRecord;
+    return claimed;
 }
 
-// Function to mark records as exported
-async function markRecordsAsExported(submissionIds) {
-    const updatePromises = submissionIds.map(submissionId => {
+// Function to return a batch's records to approved and unclaimed.
+// Records not held by the batch are skipped.
+async function releaseRecords(batchId, submissionIds) {
+    const released = [];
+    const skipped = [];
+    const failed = [];
+    
+    for (const submissionId of submissionIds) {
         const params = {
             TableName: TABLE_NAME,
             Key: {
                 submissionId: { S: submissionId }
             },
-            UpdateExpression: 'SET #exported = :exported, #exportedAt = :exportedAt',
+            UpdateExpression: 'SET #status = :approvedStatus, #exported = :exported REMOVE #exportBatchId, #exportedAt',
+            ConditionExpression: '#exportBatchId = :batchId AND #status IN (:fromStatus0, :fromStatus1)',
             ExpressionAttributeNames: {
+                '#status': 'status',
                 '#exported': 'exported',
+                '#exportBatchId': 'exportBatchId',
                 '#exportedAt': 'exportedAt'
             },
             ExpressionAttributeValues: {
+                ':approvedStatus': { S: SUBMISSION_STATUS.APPROVED },
+                ':exported': { BOOL: false },
+                ':batchId': { S: batchId },
+                ':fromStatus0': { S: ROLLBACK_FROM_STATUSES[0] },
+                ':fromStatus1': { S: ROLLBACK_FROM_STATUSES[1] }
+            }
+        };
+        
+        try {
+            await dynamoClient.send(new UpdateItemCommand(params));
+            released.push(submissionId);
+        } catch (error) {
+            if (error.name === 'ConditionalCheckFailedException') {
+                skipped.push(submissionId);
+                continue;
+            }
+            console.error(`Error releasing submission ${submissionId} from batch ${batchId}:`, error);
+            failed.push(submissionId);
+        }
+    }
+    
+    return { released, skipped, failed };
+}
+
+// Function to mark a batch's records as exported (approved -> exported).
+// Safe to repeat: records already exported by this batch are left as they are.
+async function markRecordsAsExported(batchId, submissionIds) {
+    const exportedAt = new Date().toISOString();
+    const results = await Promise.allSettled(submissionIds.map(submissionId => {
+        const params = {
+            TableName: TABLE_NAME,
+            Key: {
+                submissionId: { S: submissionId }
+            },
+            UpdateExpression: 'SET #status = :exportedStatus, #exported = :exported, #exportedAt = if_not_exists(#exportedAt, :exportedAt)',
+            ConditionExpression: '#exportBatchId = :batchId AND #status IN (:approvedStatus, :exportedStatus)',
+            ExpressionAttributeNames: {
+                '#status': 'status',
+                '#exported': 'exported',
+                '#exportedAt': 'exportedAt',
+                '#exportBatchId': 'exportBatchId'
+            },
+            ExpressionAttributeValues: {
+                ':approvedStatus': { S: SUBMISSION_STATUS.APPROVED },
+                ':exportedStatus': { S: SUBMISSION_STATUS.EXPORTED },
                 ':exported': { BOOL: true },
-                ':exportedAt': { S: new Date().toISOString() }
+                ':exportedAt': { S: exportedAt },
+                ':batchId': { S: batchId }
             }
         };
         
         return dynamoClient.send(new UpdateItemCommand(params));
+    }));
+    
+    const failed = [];
+    results.forEach((result, index) => {
+        if (result.status === 'rejected') {
+            console.error(`Error marking submission ${submissionIds[index]} as exported:`, result.reason);
+            failed.push(submissionIds[index]);
+        }
     });
     
+    console.log(`Marked ${submissionIds.length - failed.length}/${submissionIds.length} records as exported for batch ${batchId}`);
+    return { failed };
+}
+
+// Function to upload export file to S3. Never overwrites: every batch has its own file names.
+async function uploadExportFile(bucket, key, fileContent) {
+    const params = {
+        Bucket: bucket,
+        Key: key,
+        Body: fileContent,
+        ContentType: 'text/plain',
+        IfNoneMatch: '*'
+    };
+    
     try {
-        await Promise.all(updatePromises);
-        console.log(`Marked ${submissionIds.length} records as exported`);
+        await s3Client.send(new PutObjectCommand(params));
+        console.log(`Uploaded export file: s3://${bucket}/${key}`);
     } catch (error) {
-        console.error('Error marking records as exported:', error);
+        console.error('Error uploading export file:', error);
         throw error;
     }
 }
 
-// Function to upload export file to S3
-async function uploadExportFile(fileName, fileContent) {
+// Function to check whether an export file is present in S3
+async function exportFileExists(bucket, key) {
+    try {
+        await s3Client.send(new HeadObjectCommand({ Bucket: bucket, Key: key }));
+        return true;
+    } catch (error) {
+        if (error.name === 'NotFound' || error.$metadata?.httpStatusCode === 404) {
+            return false;
+        }
+        throw error;
+    }
+}
+
+// Function to mark an uploaded batch's records as exported and complete the batch
+async function completeBatch(batch) {
+    const { failed } = await markRecordsAsExported(batch.batchId, batch.submissionIds);
+    
+    if (failed.length > 0) {
+        // Left as uploaded; the next run retries the remaining records
+        console.error(`Export batch ${batch.council}/${batch.batchId} left incomplete, ${failed.length} records not marked`);
+        return { completed: false, failed };
+    }
+    
+    await updateBatch(batch.council, batch.batchId, BATCH_STATUS.UPLOADED, BATCH_STATUS.COMPLETED, {
+        completedAt: { S: new Date().toISOString() }
+    });
+    return { completed: true, failed };
+}
+
+// Function to finish or abandon batches interrupted by an earlier failed run
+async function recoverIncompleteBatches(council) {
+    const batches = await findBatches(council.id, { statuses: [BATCH_STATUS.BUILDING, BATCH_STATUS.UPLOADED] });
+    const recovered = [];
+    
+    for (const batch of batches) {
+        if (batch.status === BATCH_STATUS.BUILDING) {
+            // A batch still leased is being built by an overlapping run, which finishes it
+            if (!await takeOverExpiredBatch(council.id, batch.batchId)) {
+                console.log(`Export batch ${council.id}/${batch.batchId} is leased by another run until ${batch.leaseExpiresAt}`);
+                continue;
+            }
+            
+            // Upload may have succeeded before the run died; the ERP file decides
+            const erpFile = batch.files.find(file => file.kind === 'erp');
+            const uploaded = erpFile ? await exportFileExists(erpFile.bucket, erpFile.key) : false;
+            
+            if (!uploaded) {
+                await releaseRecords(batch.batchId, batch.candidateIds);
+                await updateBatch(council.id, batch.batchId, BATCH_STATUS.BUILDING, BATCH_STATUS.ABANDONED);
+                recovered.push({ batchId: batch.batchId, outcome: BATCH_STATUS.ABANDONED });
+                continue;
+            }
+            
+            // Restore any file the interrupted run didn't get to, then carry on as uploaded
+            await replayBatch(council, batch);
+            await updateBatch(council.id, batch.batchId, BATCH_STATUS.BUILDING, BATCH_STATUS.UPLOADED);
+            batch.status = BATCH_STATUS.UPLOADED;
+        }
+        
+        if (batch.status === BATCH_STATUS.UPLOADED) {
+            const { completed } = await completeBatch(batch);
+            recovered.push({ batchId: batch.batchId, outcome: completed ? BATCH_STATUS.COMPLETED : BATCH_STATUS.UPLOADED });
+        }
+    }
+    
+    await settleStaleReservation(council.id);
+    
+    if (recovered.length > 0) {
+        console.log(`Recovered export batches for ${council.id}:`, recovered);
+    }
+    return recovered;
+}
+
+// Function to group records by the council stored in their service attribute
+function groupRecordsByCouncil(records) {
+    const groups = new Map();
+    const unknown = [];
+    
+    records.forEach(record => {
+        const council = getCouncil(record.service?.S);
+        if (!council) {
+            unknown.push(record);
+            return;
+        }
+        if (!groups.has(council.id)) {
+            groups.set(council.id, []);
+        }
+        groups.get(council.id).push(record);
+    });
+    
+    return { groups, unknown };
+}
+
+// Function to export one council's records as a new batch
+async function exportCouncilRecords(council, records, runDate) {
+    const { prepared, rejected } = await prepareRecords(council, records);
+    
+    if (prepared.length === 0) {
+        return {
+            council: council.id,
+            success: rejected.length === 0,
+            recordsExported: 0,
+            recordsRejected: rejected
+        };
+    }
+    
+    const { sequenceNumber, batchId } = await reserveSequenceNumber(council.id, runDate);
+    const candidateIds = prepared.map(entry => entry.submissionId);
+    await createBatch({ council: council.id, batchId, runDate, sequenceNumber, candidateIds });
+    
+    // Claim first so the file only contains records this batch owns
+    const claimedIds = await claimRecords(batchId, candidateIds);
+    const claimed = prepared.filter(entry => claimedIds.includes(entry.submissionId));
+    
+    if (claimed.length === 0) {
+        await updateBatch(council.id, batchId, BATCH_STATUS.BUILDING, BATCH_STATUS.ABANDONED);
+        await settleSequenceNumber(council.id, batchId, sequenceNumber, false);
+        return {
+            council: council.id,
+            success: rejected.length === 0,
+            batchId: batchId,
+            recordsExported: 0,
+            recordsRejected: rejected
+        };
+    }
+    
+    // Build every file before uploading anything so a config error blocks all of them
+    const files = buildBatchFiles(council, runDate, sequenceNumber, claimed);
+    
+    // Record the manifest before uploading so an interrupted run can be recovered
+    await updateBatch(council.id, batchId, BATCH_STATUS.BUILDING, BATCH_STATUS.BUILDING, {
+        leaseExpiresAt: { S: leaseExpiry() },
+        submissionIds: { L: claimedIds.map(id => ({ S: id })) },
+        files: {
+            L: files.map(file => ({
+                M: {
+                    kind: { S: file.kind },
+                    bucket: { S: file.bucket },
+                    key: { S: file.key },
+                    sha256: { S: file.sha256 },
+                    size: { N: String(file.size) }
+                }
+            }))
+        }
+    });
+    
+    for (const file of files) {
+        await uploadExportFile(file.bucket, file.key, file.content);
+        await renewLease(council.id, batchId);
+    }
+    await updateBatch(council.id, batchId, BATCH_STATUS.BUILDING, BATCH_STATUS.UPLOADED, {
+        uploadedAt: { S: new Date().toISOString() }
+    });
+    await settleSequenceNumber(council.id, batchId, sequenceNumber, true);
+    
+    const { completed, failed } = await completeBatch({ council: council.id, batchId, submissionIds: claimedIds });
+    
+    return {
+        council: council.id,
+        success: completed && rejected.length === 0,
+        batchId: batchId,
+        sequenceNumber: sequenceNumber,
+        recordsExported: claimedIds.length,
+        recordsRejected: rejected,
+        recordsNotMarked: failed,
+        files: files.map(file => ({ kind: file.kind, bucket: file.bucket, key: file.key, sha256: file.sha256, size: file.size }))
+    };
+}
+
+// Function to get a submission record by ID
+async function getSubmission(submissionId) {
     const params = {
-        Bucket: EXPORT_BUCKET,
-        Key: fileName,
-        Body: fileContent,
-        ContentType: 'text/plain'
+        TableName: TABLE_NAME,
+        Key: {
+            submissionId: { S: submissionId }
+        }
     };
     
     try {
-        await s3Client.send(new PutObjectCommand(params));
-        console.log(`Uploaded export file: ${fileName}`);
+        const result = await dynamoClient.send(new GetItemCommand(params));
+        return result.Item;
     } catch (error) {
-        console.error('Error uploading export file:', error);
+        console.error('Error getting submission:', error);
         throw error;
     }
 }
 
+// Function to regenerate a batch's files, check them against the manifest
+// checksums and restore any that are missing from S3
+async function replayBatch(council, batch) {
+    if (batch.files.length === 0 || batch.status === BATCH_STATUS.ABANDONED) {
+        throw new Error(`Export batch ${council.id}/${batch.batchId} has no files to replay (status ${batch.status})`);
+    }
+    
+    // Manifest order is file order, which the checksum depends on
+    const records = [];
+    for (const submissionId of batch.submissionIds) {
+        const record = await getSubmission(submissionId);
+        if (!record) {
+            throw new Error(`Submission ${submissionId} from batch ${batch.batchId} no longer exists`);
+        }
+        records.push(record);
+    }
+    
+    const { prepared, rejected } = await prepareRecords(council, records);
+    if (rejected.length > 0) {
+        throw new Error(`Cannot replay batch ${batch.batchId}: ${rejected.length} records no longer build`);
+    }
+    
+    const files = buildBatchFiles(council, batch.runDate, batch.sequenceNumber, prepared);
+    const results = [];
+    
+    for (const manifestFile of batch.files) {
+        const file = files.find(candidate => candidate.kind === manifestFile.kind);
+        if (!file || file.key !== manifestFile.key || file.sha256 !== manifestFile.sha256) {
+            throw new Error(`Replay of ${manifestFile.key} does not match its manifest checksum`);
+        }
+        
+        if (await exportFileExists(file.bucket, file.key)) {
+            results.push({ key: file.key, sha256: file.sha256, outcome: 'present' });
+        } else {
+            await uploadExportFile(file.bucket, file.key, file.content);
+            results.push({ key: file.key, sha256: file.sha256, outcome: 'restored' });
+        }
+    }
+    
+    return { batchId: batch.batchId, status: batch.status, files: results };
+}
+
+// Function to roll back a batch so its records are exported again by the next run.
+// Files already delivered are left in place; the ERP team must discard them.
+async function rollbackBatch(council, batch, reason) {
+    if (batch.status !== BATCH_STATUS.UPLOADED && batch.status !== BATCH_STATUS.COMPLETED) {
+        throw new Error(`Export batch ${council.id}/${batch.batchId} cannot be rolled back from status ${batch.status}`);
+    }
+    
+    const { released, skipped, failed } = await releaseRecords(batch.batchId, batch.submissionIds);
+    if (skipped.length > 0) {
+        console.warn(`Rollback of batch ${batch.batchId} skipped records it no longer holds: ${skipped.join(', ')}`);
+    }
+    if (failed.length > 0) {
+        throw new Error(`Rollback of batch ${batch.batchId} released ${released.length} records, ${failed.length} failed: ${failed.join(', ')}`);
+    }
+    
+    await updateBatch(council.id, batch.batchId, batch.status, BATCH_STATUS.ROLLED_BACK, {
+        rolledBackAt: { S: new Date().toISOString() },
+        rollbackReason: { S: reason || 'not given' }
+    });
+    
+    return { batchId: batch.batchId, status: BATCH_STATUS.ROLLED_BACK, recordsReleased: released.length, recordsSkipped: skipped };
+}
+
+// Function to handle an operator replay or rollback request
+async function handleBatchAction(event) {
+    const council = getCouncil(event.council);
+    if (!council) {
+        throw new Error(`Unknown council: ${event.council}`);
+    }
+    
+    let batches;
+    if (event.batchId) {
+        const batch = await getBatch(council.id, event.batchId);
+        if (!batch) {
+            throw new Error(`Export batch ${council.id}/${event.batchId} not found`);
+        }
+        batches = [batch];
+    } else if (event.action === 'replay' && /^\d{8}$/.test(event.runDate || '')) {
+        // Replay by date covers every delivered batch from that day
+        batches = await findBatches(council.id, {
+            runDate: event.runDate,
+            statuses: [BATCH_STATUS.UPLOADED, BATCH_STATUS.COMPLETED]
+        });
+    } else {
+        throw new Error(event.action === 'replay' ? 'Replay needs a batchId or a YYYYMMDD runDate' : 'Rollback needs a batchId');
+    }
+    
+    const results = [];
+    for (const batch of batches) {
+        results.push(event.action === 'replay' ? await replayBatch(council, batch) : await rollbackBatch(council, batch, event.reason));
+    }
+    
+    return { success: true, action: event.action, council: council.id, batches: results };
+}
+
 exports.handler = async (event) => {
     console.log('Daily Export Lambda started');
     console.log('Event:', JSON.stringify(event, null, 2));
     
     const startTime = Date.now();
     
+    // Operator actions: { action: 'replay', council, batchId | runDate } or { action: 'rollback', council, batchId, reason }
+    if (event?.action === 'replay' || event?.action === 'rollback') {
+        try {
+            const result = await handleBatchAction(event);
+            console.log(`Export batch ${event.action} completed:`, JSON.stringify(result));
+            return {
+                statusCode: 200,
+                body: JSON.stringify(result)
+            };
+        } catch (error) {
+            console.error(`Export batch ${event.action} failed:`, error);
+            return {
+                statusCode: 500,
+                body: JSON.stringify({
+                    success: false,
+                    action: event.action,
+                    error: error.message,
+                    timestamp: new Date().toISOString()
+                })
+            };
+        }
+    }
+    
     try {
+        // Finish anything an earlier run left half done before selecting new records
+        const recoveries = {};
+        for (const council of listCouncils()) {
+            try {
+                recoveries[council.id] = await recoverIncompleteBatches(council);
+            } catch (error) {
+                console.error(`Batch recovery failed for ${council.id}:`, error);
+                recoveries[council.id] = { error: error.message };
+            }
+        }
+        
         // Get approved, unexported records
-        const records = await getApprovedRecords();
+        const { items: records, stats: selection } = await getApprovedRecords();
         
         if (records.length === 0) {
             console.log('No records to export');
@@ -157,34 +1029,55 @@ exports.handler = async (event) => {
                 body: JSON.stringify({
                     success: true,
                     recordsExported: 0,
+                    selection: selection,
+                    recoveries: recoveries,
                     message: 'No records to export'
                 })
             };
         }
         
-        // Convert records to fixed-width format
-        const fixedWidthLines = records.map(record => recordToFixedWidth(record));
-        const fileContent = fixedWidthLines.join('\n');
-        
-        // Generate filename with timestamp
-        const timestamp = new Date().toISOString().slice(0, 10).replace(/-/g, ''); // YYYYMMDD
-        const fileName = `DIRECT_DEBIT_EXPORT_${timestamp}.txt`;
+        const { groups, unknown } = groupRecordsByCouncil(records);
+        if (unknown.length > 0) {
+            // Left unexported so they are picked up once the council is registered
+            console.error(`Skipping ${unknown.length} records with unregistered service:`,
+                unknown.map(record => record.submissionId.S));
+        }
         
-        // Upload to S3
-        await uploadExportFile(fileName, fileContent);
+        // Run date used in every council's filename
+        const runDate = new Date().toISOString().slice(0, 10).replace(/-/g, ''); // YYYYMMDD
         
-        // Mark records as exported
-        const submissionIds = records.map(record => record.submissionId.S);
-        await markRecordsAsExported(submissionIds);
+        // Export each council separately so one failure doesn't block the others
+        const councilResults = [];
+        for (const council of listCouncils()) {
+            const councilRecords = groups.get(council.id) || [];
+            if (councilRecords.length === 0) {
+                continue;
+            }
+            
+            try {
+                councilResults.push(await exportCouncilRecords(council, councilRecords, runDate));
+            } catch (error) {
+                console.error(`Export failed for ${council.id}:`, error);
+                councilResults.push({
+                    council: council.id,
+                    success: false,
+                    recordsExported: 0,
+                    error: error.message
+                });
+            }
+        }
         
         const endTime = Date.now();
         const duration = (endTime - startTime) / 1000;
+        const allSucceeded = councilResults.every(councilResult => councilResult.success);
         
         const result = {
-            success: true,
-            recordsExported: records.length,
-            fileName: fileName,
-            fileSize: fileContent.length,
+            success: allSucceeded,
+            recordsExported: councilResults.reduce((total, councilResult) => total + councilResult.recordsExported, 0),
+            recordsSkipped: unknown.length,
+            selection: selection,
+            recoveries: recoveries,
+            councils: councilResults,
             duration: `${duration} seconds`,
             timestamp: new Date().toISOString()
         };
@@ -192,7 +1085,7 @@ exports.handler = async (event) => {
         console.log('Export completed:', result);
         
         return {
-            statusCode: 200,
+            statusCode: allSucceeded ? 200 : 500,
             body: JSON.stringify(result)
         };
         
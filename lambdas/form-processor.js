@@ -1,16 +1,44 @@
 const crypto = require('crypto');
 const { SSMClient, GetParameterCommand } = require('@aws-sdk/client-ssm');
-const { DynamoDBClient, PutItemCommand } = require('@aws-sdk/client-dynamodb');
+const { DynamoDBClient, PutItemCommand, GetItemCommand, UpdateItemCommand, QueryCommand, ScanCommand, TransactWriteItemsCommand } = require('@aws-sdk/client-dynamodb');
+const { findCouncilByCustomerNumber } = require('../config/councils');
+const { SUBMISSION_STATUS } = require('./shared/submission-status');
+const { getCustomerProfile, profileToAttributes } = require('./shared/customer-profile');
+const database = require('./shared/database');
+const { verifyValidationToken } = require('./shared/validation-token');
+const { parseSharedSecret, encryptEData } = require('./shared/edata-crypto');
+const { getRedirectTemplate, buildRedirectQuery } = require('./shared/redirect-template');
+const { loadConfig } = require('./shared/environment-config');
 
-// Initialize DynamoDB client
-const dynamoClient = new DynamoDBClient({ region: 'eu-west-2' });
+// Environment settings, checked at cold start (also validates every council's redirect templates)
+const config = loadConfig();
+
+// Initialize AWS clients
+const dynamoClient = new DynamoDBClient({ region: config.region });
 
 // Configuration from environment variables
-const TABLE_NAME = process.env.TABLE_NAME || 'DirectDebitSubmissions';
+const TABLE_NAME = config.tables.submissions;
+// GSI with partition key "customerNumber" and sort key "submissionDate" (projection ALL).
+// Set to an empty string to fall back to a scan where the index is not deployed.
+const CUSTOMER_INDEX_NAME = process.env.CUSTOMER_INDEX_NAME ?? 'customerNumber-submissionDate-index';
+
+// Client idempotency keys, each mapped to the submission its first request used (TTL on expiresAt)
+const IDEMPOTENCY_TABLE = config.tables.idempotency;
+const IDEMPOTENCY_TTL_SECONDS = 86400;
+const IDEMPOTENCY_KEY_PATTERN = /^[A-Za-z0-9_-]{8,64}$/;
+// The same table holds each customer's latest submission under customer#<council>#<customer number>
+// (never a client key, which can't contain '#'), so two requests can't both create one
+const CUSTOMER_GUARD_PREFIX = 'customer#';
+
+// Statuses meaning the customer already has a mandate in place (or on its way to the ERP)
+const MANDATE_STATUSES = [SUBMISSION_STATUS.APPROVED, SUBMISSION_STATUS.EXPORTED];
+
+// Validation token signing secrets, cached per council for warm invocations
+const tokenSecretCache = new Map();
 
 // Function to get parameter from SSM
 async function getParameter(parameterName) {
-    const ssmClient = new SSMClient({ region: 'eu-west-2' });
+    const ssmClient = new SSMClient({ region: config.region });
     const command = new GetParameterCommand({
         Name: parameterName,
         WithDecryption: true
@@ -25,11 +53,30 @@ async function getParameter(parameterName) {
     }
 }
 
+// Function to get a council's validation token signing secret, shared with the customer validator
+async function getTokenSecret(council) {
+    if (!tokenSecretCache.has(council.id)) {
+        tokenSecretCache.set(council.id, await getParameter(config.councils[council.id].validationTokenSecretPath));
+    }
+    return tokenSecretCache.get(council.id);
+}
+
+// Function to look up the customer's loaded profile. Prefill is a convenience,
+// so a failed lookup is logged and the customer simply types their details in.
+async function lookupCustomerProfile(customerNumber) {
+    try {
+        return await getCustomerProfile(database, customerNumber);
+    } catch (error) {
+        console.error('Customer profile lookup failed, continuing without prefill:', error.message);
+        return null;
+    }
+}
+
 // Input validation and sanitization
 function validateAndSanitizeInput(customerNumber, postcode, email) {
-    // Sanitize customer number - only allow digits and specific prefixes
+    // Sanitize customer number - only allow digits matching a registered council
     const sanitizedCustomerNumber = customerNumber.replace(/[^0-9]/g, '');
-    if (!/^(1000|2000)\d{7}$/.test(sanitizedCustomerNumber)) {
+    if (!findCouncilByCustomerNumber(sanitizedCustomerNumber)) {
         throw new Error('Invalid customer number format');
     }
     
@@ -50,11 +97,7 @@ function validateAndSanitizeInput(customerNumber, postcode, email) {
 
 // CORS validation
 function getCorsHeaders(origin) {
-    const allowedOrigins = [
-        'https://forms.council-a.gov.uk',
-        'https://forms.council-b.gov.uk',
-        'https://s3.eu-west-2.amazonaws.com'
-    ];
+    const allowedOrigins = config.allowedOrigins;
     
     const corsOrigin = allowedOrigins.includes(origin) ? origin : 'null';
     
@@ -66,21 +109,42 @@ function getCorsHeaders(origin) {
     };
 }
 
-// Function to determine service from customer number
-function determineServiceFromCustomerNumber(customerNumber) {
-    if (customerNumber.startsWith('1000')) {
-        return 'council-a';
-    } else if (customerNumber.startsWith('2000')) {
-        return 'council-b';
-    } else {
-        throw new Error(`Invalid customer number prefix: ${customerNumber}. Must start with 1000 (Council A) or 2000 (Council B)`);
+// Function to determine the owning council from customer number
+function determineCouncilFromCustomerNumber(customerNumber) {
+    const council = findCouncilByCustomerNumber(customerNumber);
+    if (!council) {
+        throw new Error(`Invalid customer number prefix: ${customerNumber}. Does not match any registered council`);
     }
+    return council;
 }
 
-// Function to store form submission data
-async function storeSubmissionData(submissionData) {
+// Function to build the key of a customer's latest-submission guard
+function customerGuardKey(councilId, customerNumber) {
+    return `${CUSTOMER_GUARD_PREFIX}${councilId}#${customerNumber}`;
+}
+
+// Function to get the ID of the customer's latest submission from its guard, or null if there is none yet
+async function getCustomerGuard(councilId, customerNumber) {
+    try {
+        const result = await dynamoClient.send(new GetItemCommand({
+            TableName: IDEMPOTENCY_TABLE,
+            Key: { idempotencyKey: { S: customerGuardKey(councilId, customerNumber) } },
+            ConsistentRead: true
+        }));
+        return result.Item ? result.Item.submissionId.S : null;
+    } catch (error) {
+        console.error(`Error reading submission guard for ${customerNumber}:`, error);
+        throw error;
+    }
+}
+
+// Function to store form submission data, moving the customer's guard from the submission
+// read before deciding to create this one (or none). Returns false without storing anything
+// if a concurrent request moved the guard first.
+async function storeSubmissionData(submissionData, guardedSubmissionId) {
     const params = {
         TableName: TABLE_NAME,
+        ConditionExpression: 'attribute_not_exists(submissionId)',
         Item: {
             submissionId: { S: submissionData.submissionId },
             customerNumber: { S: submissionData.customerNumber },
@@ -89,44 +153,241 @@ async function storeSubmissionData(submissionData) {
             formType: { S: submissionData.formType },
             service: { S: submissionData.service },
             submissionDate: { S: submissionData.submissionDate },
-            status: { S: 'pending' },
-            exported: { BOOL: false }
+            status: { S: SUBMISSION_STATUS.PENDING },
+            exported: { BOOL: false },
+            // Profile from the council extract, read by the ERP export and the advance notice
+            ...profileToAttributes(submissionData.profile)
         }
     };
     
+    if (submissionData.idempotencyKey) {
+        params.Item.idempotencyKey = { S: submissionData.idempotencyKey };
+    }
+    
+    const guard = {
+        TableName: IDEMPOTENCY_TABLE,
+        Item: {
+            idempotencyKey: { S: customerGuardKey(submissionData.service, submissionData.customerNumber) },
+            submissionId: { S: submissionData.submissionId },
+            customerNumber: { S: submissionData.customerNumber },
+            createdAt: { S: submissionData.submissionDate }
+        },
+        ConditionExpression: guardedSubmissionId ? 'submissionId = :guardedSubmissionId' : 'attribute_not_exists(idempotencyKey)'
+    };
+    if (guardedSubmissionId) {
+        guard.ExpressionAttributeValues = { ':guardedSubmissionId': { S: guardedSubmissionId } };
+    }
+    
     try {
-        await dynamoClient.send(new PutItemCommand(params));
+        await dynamoClient.send(new TransactWriteItemsCommand({
+            TransactItems: [{ Put: params }, { Put: guard }]
+        }));
         console.log('Submission data stored successfully:', submissionData.submissionId);
+        return true;
     } catch (error) {
+        if (error.name === 'TransactionCanceledException' && error.CancellationReasons?.[1]?.Code === 'ConditionalCheckFailed') {
+            console.log(`Submission guard for ${submissionData.customerNumber} moved concurrently`);
+            return false;
+        }
         console.error('Error storing submission data:', error);
         throw error;
     }
 }
 
-// Function to encrypt a query string using third-party encryption
-async function encryptQueryString(queryString, sharedSecret) {
-    console.log('Query string to encrypt:', queryString);
+// Function to find a customer's existing submissions for a council
+async function findExistingSubmissions(customerNumber, councilId) {
+    const params = {
+        TableName: TABLE_NAME,
+        FilterExpression: 'service = :service',
+        ExpressionAttributeValues: {
+            ':customerNumber': { S: customerNumber },
+            ':service': { S: councilId }
+        }
+    };
     
-    // AES-256-CBC encryption matching third-party requirements
-    const algorithm = 'aes-256-cbc';
+    if (CUSTOMER_INDEX_NAME) {
+        params.IndexName = CUSTOMER_INDEX_NAME;
+        params.KeyConditionExpression = 'customerNumber = :customerNumber';
+    } else {
+        params.FilterExpression = 'customerNumber = :customerNumber AND service = :service';
+    }
     
-    // SHA-256 hash the shared secret to create the AES key
-    const sha256 = crypto.createHash('sha256');
-    sha256.update(sharedSecret);
-    const aesKey = sha256.digest();
+    const submissions = [];
+    let exclusiveStartKey;
     
-    // Generate random 16-byte IV
-    const iv = crypto.randomBytes(16);
+    try {
+        do {
+            const command = CUSTOMER_INDEX_NAME
+                ? new QueryCommand({ ...params, ExclusiveStartKey: exclusiveStartKey })
+                : new ScanCommand({ ...params, ExclusiveStartKey: exclusiveStartKey });
+            const result = await dynamoClient.send(command);
+            
+            result.Items.forEach(item => submissions.push({
+                submissionId: item.submissionId.S,
+                status: item.status?.S,
+                submissionDate: item.submissionDate?.S || ''
+            }));
+            exclusiveStartKey = result.LastEvaluatedKey;
+        } while (exclusiveStartKey);
+        
+        return submissions;
+    } catch (error) {
+        console.error(`Error looking up existing submissions for ${customerNumber}:`, error);
+        throw error;
+    }
+}
+
+// Function to refresh an open pending submission for a repeat request, returning false if it is no longer pending
+async function reusePendingSubmission(submissionId, email, formType) {
+    try {
+        await dynamoClient.send(new UpdateItemCommand({
+            TableName: TABLE_NAME,
+            Key: { submissionId: { S: submissionId } },
+            UpdateExpression: 'SET email = :email, formType = :formType, lastRequestedAt = :now',
+            ConditionExpression: '#status = :pending',
+            ExpressionAttributeNames: { '#status': 'status' },
+            ExpressionAttributeValues: {
+                ':email': { S: email },
+                ':formType': { S: formType },
+                ':now': { S: new Date().toISOString() },
+                ':pending': { S: SUBMISSION_STATUS.PENDING }
+            }
+        }));
+        return true;
+    } catch (error) {
+        if (error.name === 'ConditionalCheckFailedException') {
+            return false;
+        }
+        console.error(`Error reusing pending submission ${submissionId}:`, error);
+        throw error;
+    }
+}
+
+// Function to check whether a submission has been stored
+async function submissionExists(submissionId) {
+    try {
+        const result = await dynamoClient.send(new GetItemCommand({
+            TableName: TABLE_NAME,
+            Key: { submissionId: { S: submissionId } },
+            ProjectionExpression: 'submissionId',
+            ConsistentRead: true
+        }));
+        return Boolean(result.Item);
+    } catch (error) {
+        console.error(`Error reading submission ${submissionId}:`, error);
+        throw error;
+    }
+}
+
+// Function to get the submission an idempotency key has already been used for
+async function getIdempotencyRecord(idempotencyKey) {
+    try {
+        const result = await dynamoClient.send(new GetItemCommand({
+            TableName: IDEMPOTENCY_TABLE,
+            Key: { idempotencyKey: { S: idempotencyKey } },
+            ConsistentRead: true
+        }));
+        
+        if (!result.Item) {
+            return null;
+        }
+        return {
+            submissionId: result.Item.submissionId.S,
+            customerNumber: result.Item.customerNumber.S
+        };
+    } catch (error) {
+        console.error('Error reading idempotency key:', error);
+        throw error;
+    }
+}
+
+// Function to claim an idempotency key for a submission. If a concurrent request
+// claimed it first, that request's record is returned instead.
+async function claimIdempotencyKey(idempotencyKey, submissionId, customerNumber) {
+    try {
+        await dynamoClient.send(new PutItemCommand({
+            TableName: IDEMPOTENCY_TABLE,
+            Item: {
+                idempotencyKey: { S: idempotencyKey },
+                submissionId: { S: submissionId },
+                customerNumber: { S: customerNumber },
+                createdAt: { S: new Date().toISOString() },
+                expiresAt: { N: String(Math.floor(Date.now() / 1000) + IDEMPOTENCY_TTL_SECONDS) }
+            },
+            ConditionExpression: 'attribute_not_exists(idempotencyKey)'
+        }));
+        return { claimed: true, submissionId, customerNumber };
+    } catch (error) {
+        if (error.name === 'ConditionalCheckFailedException') {
+            return { claimed: false, ...(await getIdempotencyRecord(idempotencyKey)) };
+        }
+        console.error('Error claiming idempotency key:', error);
+        throw error;
+    }
+}
+
+// Function to point an idempotency key at the submission a concurrent request created instead
+async function repointIdempotencyKey(idempotencyKey, fromSubmissionId, toSubmissionId) {
+    try {
+        await dynamoClient.send(new UpdateItemCommand({
+            TableName: IDEMPOTENCY_TABLE,
+            Key: { idempotencyKey: { S: idempotencyKey } },
+            UpdateExpression: 'SET submissionId = :to',
+            ConditionExpression: 'submissionId = :from',
+            ExpressionAttributeValues: {
+                ':from': { S: fromSubmissionId },
+                ':to': { S: toSubmissionId }
+            }
+        }));
+    } catch (error) {
+        if (error.name === 'ConditionalCheckFailedException') {
+            return;
+        }
+        console.error('Error repointing idempotency key:', error);
+        throw error;
+    }
+}
+
+// Function to create a submission, or join the one a concurrent request created for the
+// customer first. Returns the submission ID used, or null if neither was possible.
+async function createOrJoinSubmission(submissionData, guardedSubmissionId) {
+    if (await storeSubmissionData(submissionData, guardedSubmissionId)) {
+        return submissionData.submissionId;
+    }
     
-    // Create cipher and encrypt
-    const cipher = crypto.createCipheriv(algorithm, aesKey, iv);
-    const cipherText = cipher.update(queryString, 'utf8');
+    const winnerId = await getCustomerGuard(submissionData.service, submissionData.customerNumber);
+    if (!winnerId || !await reusePendingSubmission(winnerId, submissionData.email, submissionData.formType)) {
+        return null;
+    }
+    if (submissionData.idempotencyKey) {
+        await repointIdempotencyKey(submissionData.idempotencyKey, submissionData.submissionId, winnerId);
+    }
+    console.log(`Joined submission ${winnerId} created by a concurrent request`);
+    return winnerId;
+}
+
+// Function to build the response for a request that lost a race it couldn't recover from
+function submissionConflict(corsHeaders) {
+    return {
+        statusCode: 409,
+        headers: corsHeaders,
+        body: JSON.stringify({
+            error: 'Your details were submitted at the same time from elsewhere. Please try again.'
+        })
+    };
+}
+
+// Function to encrypt a query string for the third-party service with the council's current shared secret key
+function encryptQueryString(queryString, sharedSecret, council) {
+    // Parameter names only: the values include the customer's name and address
+    console.log('Query string parameters to encrypt:', queryString.split('&').map(parameter => parameter.split('=')[0]).join(', '));
     
-    // Concatenate IV + encrypted data, then base64 encode
-    const encrypted = Buffer.concat([iv, cipherText, cipher.final()]).toString('base64');
+    // The mode must match what the provider has been configured to expect
+    const mode = council.encryption?.mode || 'cbc';
+    const { eData, keyId } = encryptEData(parseSharedSecret(sharedSecret), queryString, mode);
     
-    console.log('Encryption successful, length:', encrypted.length);
-    return encrypted;
+    console.log(`Encryption successful (mode ${mode}, key ${keyId || 'legacy'}), length:`, eData.length);
+    return eData;
 }
 
 exports.handler = async (event) => {
@@ -144,12 +405,6 @@ exports.handler = async (event) => {
     }
     
     try {
-        // Map service values to organization names
-        const serviceMapping = {
-            'council-a': 'council-a',
-            'council-b': 'council-b'
-        };        
-        
         // Extract parameters from POST body or query string
         let parameters;
         if (event.httpMethod === 'POST' && event.body) {
@@ -161,8 +416,13 @@ exports.handler = async (event) => {
         const rawCustomerNumber = parameters.get('customer-number') || parameters.get('customer_number');
         const rawPostcode = parameters.get('postcode');
         const rawEmail = parameters.get('email');
-        const formType = parameters.get('form_type'); // user or advisor
-        const requestedService = parameters.get('service'); // council-a or council-b (optional now)
+        const formType = parameters.get('form_type'); // one of the council's redirect templates, e.g. user or advisor
+        const validationToken = parameters.get('validation_token'); // issued by the customer validator
+        // Optional client key so a retried or double-clicked request reuses the first one's submission
+        const idempotencyKey = parameters.get('idempotency_key') || event.headers?.['Idempotency-Key'] || event.headers?.['idempotency-key'];
+        const requestedService = parameters.get('service'); // registered council id (optional now)
+        // Sent once the customer has seen the existing mandate warning and chosen to continue
+        const confirmedExistingMandate = parameters.get('confirm_existing_mandate') === 'true';
 
         // Validate required parameters
         if (!rawCustomerNumber || !rawPostcode || !rawEmail) {
@@ -176,6 +436,16 @@ exports.handler = async (event) => {
             };
         }
         
+        if (idempotencyKey && !IDEMPOTENCY_KEY_PATTERN.test(idempotencyKey)) {
+            return {
+                statusCode: 400,
+                headers: corsHeaders,
+                body: JSON.stringify({
+                    error: 'Invalid idempotency key: use 8 to 64 letters, digits, hyphens or underscores'
+                })
+            };
+        }
+        
         // Validate and sanitize inputs
         const sanitized = validateAndSanitizeInput(rawCustomerNumber, rawPostcode.toUpperCase(), rawEmail);
         const customerNumber = sanitized.customerNumber;
@@ -183,7 +453,8 @@ exports.handler = async (event) => {
         const email = sanitized.email;
 
         // Automatically determine service from customer number
-        const determinedService = determineServiceFromCustomerNumber(customerNumber);
+        const council = determineCouncilFromCustomerNumber(customerNumber);
+        const determinedService = council.id;
         console.log(`Customer number ${customerNumber} determined as service: ${determinedService}`);
 
         // If service was provided, validate it matches the customer number
@@ -200,11 +471,39 @@ exports.handler = async (event) => {
 
         // Use determined service
         const service = determinedService;
-        const organization = serviceMapping[service];
         
-        // Build parameter path dynamically
-        const parameterPath = `/forms/${organization}/test/ThirdPartySharedSecret`;
-        const SHARED_SECRET = await getParameter(parameterPath);
+        const redirectTemplate = getRedirectTemplate(config.councils[council.id], formType);
+        if (!redirectTemplate) {
+            console.log(`Unknown form type '${formType}' for ${council.id}`);
+            return {
+                statusCode: 400,
+                headers: corsHeaders,
+                body: JSON.stringify({
+                    error: `Invalid form_type: expected one of ${Object.keys(council.redirectTemplates).join(', ')}`
+                })
+            };
+        }
+        
+        // The customer validator must have matched these details against the customer list
+        try {
+            verifyValidationToken(await getTokenSecret(council), validationToken, {
+                customerNumber: customerNumber,
+                postcode: postcode,
+                council: council.id
+            });
+        } catch (error) {
+            console.log(`Validation token rejected for ${customerNumber}: ${error.message}`);
+            return {
+                statusCode: 403,
+                headers: corsHeaders,
+                body: JSON.stringify({
+                    error: 'Customer details have not been validated. Please check your customer number and postcode and try again.'
+                })
+            };
+        }
+        
+        // Shared secret path comes from the council registry, for this environment
+        const SHARED_SECRET = await getParameter(config.councils[council.id].sharedSecretPath);
         
         console.log('Extracted values:', {
             customerNumber: customerNumber,
@@ -215,58 +514,148 @@ exports.handler = async (event) => {
             determinedFromCustomerNumber: true
         });
         
-        // Generate unique submission ID using built-in crypto
-        const submissionId = crypto.randomUUID();
-        const submissionDate = new Date().toISOString();
+        // Loaded profile, used to prefill the verification form and for the export
+        const profile = await lookupCustomerProfile(customerNumber);
         
-        // Store submission data in DynamoDB
-        await storeSubmissionData({
-            submissionId,
-            customerNumber,
-            postcode,
-            email,
-            formType: formType || 'advisor',
-            service: service,
-            submissionDate
-        });
-        
-        // Build the complete query string to encrypt based on form type and service
-        let completeQueryString;
-        let baseUrl;
-        
-        // Add submissionId AND CallbackURL to the encrypted data for third-party to send back in callback
-        const callbackURL = process.env.CALLBACK_URL || 'https://api.example.com/webhook-callback';
-        const baseCustomerData = `customer_number=${customerNumber}&postcode=${postcode}&CurrentPostcode=${postcode}&Email=${email}&EmailRetype=${email}&CustomData=${submissionId}&CallbackURL=${callbackURL}`;
+        let submissionId;
+        let reused = false;
+        let warning;
         
-        if (formType === 'user') {
-            if (service === 'council-a') {
-                // User Council A form
-                baseUrl = 'https://verification.thirdparty.com/forms/council-a/customer';
-                completeQueryString = `${baseCustomerData}&DdPlanReference=${customerNumber}&showddplanreference=visible&showdob=hidden&showmobile=hidden`;
-                console.log('User Council A form detected');
-            } else {
-                // User Council B form
-                baseUrl = 'https://verification.thirdparty.com/forms/council-b/customer';
-                completeQueryString = `${baseCustomerData}&DdPlanReference=${customerNumber}&showddplanreference=visible&showdob=hidden&showmobile=hidden`;
-                console.log('User Council B form detected');
+        // A retry with a known idempotency key gets the submission its first request used
+        const previousRequest = idempotencyKey ? await getIdempotencyRecord(idempotencyKey) : null;
+        if (previousRequest) {
+            if (previousRequest.customerNumber !== customerNumber) {
+                return {
+                    statusCode: 422,
+                    headers: corsHeaders,
+                    body: JSON.stringify({ error: 'Idempotency key has already been used for a different customer' })
+                };
+            }
+            submissionId = previousRequest.submissionId;
+            reused = true;
+            console.log(`Idempotency key matched submission ${submissionId}`);
+            
+            // The first request claimed the key but died before storing its submission
+            if (!await submissionExists(submissionId)) {
+                const guardedSubmissionId = await getCustomerGuard(service, customerNumber);
+                submissionId = await createOrJoinSubmission({
+                    submissionId,
+                    customerNumber,
+                    postcode,
+                    email,
+                    formType: formType,
+                    service: service,
+                    submissionDate: new Date().toISOString(),
+                    idempotencyKey,
+                    profile
+                }, guardedSubmissionId);
+                if (!submissionId) {
+                    return submissionConflict(corsHeaders);
+                }
+                reused = submissionId !== previousRequest.submissionId;
             }
         } else {
-            // Advisor forms
-            if (service === 'council-a') {
-                // Advisor Council A form
-                baseUrl = 'https://verification.thirdparty.com/forms/council-a/agent';
-                completeQueryString = `${baseCustomerData}&DdPlanReference=${customerNumber}&showddplanfields=hidden&applyingascompany=false&showapplyingascompanycheck=hidden&showdob=hidden&showmobile=hidden`;
-                console.log('Advisor Council A form detected');
-            } else {
-                // Advisor Council B form (default)
-                baseUrl = 'https://verification.thirdparty.com/forms/council-b/agent';
-                completeQueryString = `${baseCustomerData}&DdPlanReference=${customerNumber}&showddplanfields=hidden&applyingascompany=false&showapplyingascompanycheck=hidden&showdob=hidden&showmobile=hidden`;
-                console.log('Advisor Council B form detected (or default)');
+            // Read first: the index is eventually consistent, the guard is not
+            const guardedSubmissionId = await getCustomerGuard(service, customerNumber);
+            const existing = await findExistingSubmissions(customerNumber, service);
+            
+            // A customer with a mandate in place is blocked or warned, as the council chooses.
+            // A warning is returned before anything is created; the customer resubmits to continue.
+            if (existing.some(submission => MANDATE_STATUSES.includes(submission.status))) {
+                console.log(`Customer ${customerNumber} already has a ${service} mandate (policy: ${council.existingMandatePolicy})`);
+                if (council.existingMandatePolicy !== 'warn') {
+                    return {
+                        statusCode: 409,
+                        headers: corsHeaders,
+                        body: JSON.stringify({
+                            error: 'A Direct Debit is already set up for this customer number. Please contact us if you need to change it.'
+                        })
+                    };
+                }
+                warning = 'A Direct Debit is already set up for this customer number. Continuing will set up a new one.';
+                if (!confirmedExistingMandate) {
+                    return {
+                        statusCode: 409,
+                        headers: corsHeaders,
+                        body: JSON.stringify({
+                            warning: warning,
+                            confirmationRequired: true
+                        })
+                    };
+                }
+            }
+            
+            // Reuse the customer's latest open pending submission rather than creating another:
+            // the guarded one first, as the index may not show it yet
+            const pending = existing
+                .filter(submission => submission.status === SUBMISSION_STATUS.PENDING)
+                .sort((a, b) => b.submissionDate.localeCompare(a.submissionDate))
+                .map(submission => submission.submissionId);
+            for (const pendingId of new Set([guardedSubmissionId, ...pending].filter(Boolean))) {
+                if (await reusePendingSubmission(pendingId, email, formType)) {
+                    submissionId = pendingId;
+                    reused = true;
+                    console.log(`Reusing pending submission ${submissionId}`);
+                    break;
+                }
+            }
+            
+            // Generate unique submission ID using built-in crypto
+            const candidateId = submissionId || crypto.randomUUID();
+            
+            if (idempotencyKey) {
+                const claim = await claimIdempotencyKey(idempotencyKey, candidateId, customerNumber);
+                if (!claim.claimed && claim.customerNumber !== customerNumber) {
+                    return {
+                        statusCode: 422,
+                        headers: corsHeaders,
+                        body: JSON.stringify({ error: 'Idempotency key has already been used for a different customer' })
+                    };
+                }
+                // A concurrent request with the same key got there first
+                if (!claim.claimed) {
+                    submissionId = claim.submissionId;
+                    reused = true;
+                }
+            }
+            
+            if (!submissionId) {
+                // Store submission data in DynamoDB, unless a concurrent request created one first
+                submissionId = await createOrJoinSubmission({
+                    submissionId: candidateId,
+                    customerNumber,
+                    postcode,
+                    email,
+                    formType: formType,
+                    service: service,
+                    submissionDate: new Date().toISOString(),
+                    idempotencyKey,
+                    profile
+                }, guardedSubmissionId);
+                if (!submissionId) {
+                    return submissionConflict(corsHeaders);
+                }
+                reused = submissionId !== candidateId;
             }
         }
         
+        // Add submissionId AND CallbackURL to the encrypted data for third-party to send back in callback
+        const callbackURL = config.callbackUrl;
+        
+        // Build the complete query string to encrypt from the council's template for this form type
+        const completeQueryString = buildRedirectQuery(redirectTemplate, {
+            customerNumber: customerNumber,
+            postcode: postcode,
+            email: email,
+            submissionId: submissionId,
+            callbackUrl: callbackURL,
+            profile: profile
+        });
+        const baseUrl = redirectTemplate.baseUrl;
+        console.log(`${council.name} ${formType} form detected`);
+        
         // Encrypt the complete query string
-        const encryptedCompleteQueryString = await encryptQueryString(completeQueryString, SHARED_SECRET);
+        const encryptedCompleteQueryString = encryptQueryString(completeQueryString, SHARED_SECRET, council);
         
         // Build the final redirect URL with only the encrypted data
         const redirectUrl = `${baseUrl}?eData=${encodeURIComponent(encryptedCompleteQueryString)}`;
@@ -283,8 +672,10 @@ exports.handler = async (event) => {
                 submissionId: submissionId,
                 encryptedData: encryptedCompleteQueryString,
                 redirectUrl: redirectUrl,
-                formType: formType || 'advisor',
-                service: service
+                formType: formType,
+                service: service,
+                reused: reused,
+                warning: warning
             })
         };
         
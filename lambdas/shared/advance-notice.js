@@ -0,0 +1,226 @@
+const PDFDocument = require('pdfkit');
+const { TEMPLATES } = require('../../config/advance-notice-templates');
+const { GUARANTEE } = require('../../config/direct-debit-guarantee');
+const { firstCollectionDate, parseAmountToPence, buildInstalmentSchedule } = require('./collection-schedule');
+
+// Advance notice of the collections on a new mandate: the reference, the
+// instalment schedule of the customer's balance and the Direct Debit
+// Guarantee. The HTML copy comes from the council's template
+// (config/advance-notice-templates.js); the PDF copy is laid out here.
+
+const PLACEHOLDERS = [
+    'councilName',
+    'brandColour',
+    'councilAddress',
+    'telephone',
+    'contactEmail',
+    'noticeDate',
+    'customerName',
+    'customerAddress',
+    'customerNumber',
+    'reference',
+    'serviceUserNumber',
+    'scheduleRows',
+    'instalmentCount',
+    'total',
+    'guarantee'
+];
+
+const DEFAULT_BRAND_COLOUR = '#0b0c0c';
+
+// Function to check every template when the module loads, so a typo fails the cold start
+function validateTemplates() {
+    Object.entries(TEMPLATES).forEach(([templateSet, template]) => {
+        (template.match(/\{(\w+)\}/g) || []).forEach(placeholder => {
+            if (!PLACEHOLDERS.includes(placeholder.slice(1, -1))) {
+                throw new Error(`Advance notice template '${templateSet}' uses unknown placeholder ${placeholder}`);
+            }
+        });
+    });
+    (GUARANTEE.match(/\{(\w+)\}/g) || []).forEach(placeholder => {
+        if (placeholder !== '{councilName}') {
+            throw new Error(`Direct Debit Guarantee text uses unknown placeholder ${placeholder}`);
+        }
+    });
+}
+
+validateTemplates();
+
+// Function to format an amount in pence, e.g. "£1,234.56"
+function formatAmount(pence) {
+    return (pence / 100).toLocaleString('en-GB', { style: 'currency', currency: 'GBP' });
+}
+
+// Function to format a YYYY-MM-DD date, e.g. "Monday, 2 March 2026"
+function formatDate(isoDate) {
+    return new Date(`${isoDate}T00:00:00Z`).toLocaleDateString('en-GB', {
+        weekday: 'long',
+        day: 'numeric',
+        month: 'long',
+        year: 'numeric',
+        timeZone: 'UTC'
+    });
+}
+
+// Function to escape text for HTML
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, character => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[character]);
+}
+
+// Function to get the Guarantee paragraphs with the council's name filled in
+function guaranteeParagraphs(council) {
+    return GUARANTEE.replace(/\{councilName\}/g, council.name).split(/\n{2,}/);
+}
+
+// Function to put together the details of a submission's advance notice. The
+// profile is the customer's current row from the customers table (null if it
+// couldn't be read, in which case the details copied to the submission are used).
+// A customer who owes nothing gets a notice with an empty schedule, which the
+// generator records as not needed rather than sending.
+function buildAdvanceNotice(council, submission, profile, now = new Date()) {
+    const submissionId = submission.submissionId.S;
+    const balance = profile ? profile.balance : submission.balance?.S;
+    const totalPence = parseAmountToPence(balance);
+    if (totalPence === null) {
+        throw new Error(`No balance to collect for submission ${submissionId} (balance '${balance ?? ''}')`);
+    }
+
+    // The stored date is the one on the notice last sent, so a regenerated notice keeps it
+    // while the notice period still fits before it. The period runs from when this notice is issued.
+    const earliest = firstCollectionDate(council, now);
+    const stored = submission.firstCollectionDate?.S;
+    const firstDate = stored && stored >= earliest ? stored : earliest;
+
+    const profileValue = (field, attribute) => (profile ? profile[field] : submission[attribute]?.S) || null;
+    const customerAddress = [
+        profileValue('address_line1', 'addressLine1'),
+        profileValue('address_line2', 'addressLine2'),
+        profileValue('address_line3', 'addressLine3'),
+        submission.postcode?.S
+    ].filter(Boolean);
+
+    return {
+        submissionId: submissionId,
+        customerName: profileValue('customer_name', 'customerName') || 'Customer',
+        customerAddress: customerAddress,
+        customerNumber: submission.customerNumber.S,
+        reference: submission.customerNumber.S,
+        serviceUserNumber: council.bacs?.serviceUserNumber || '',
+        noticeDate: now.toISOString().slice(0, 10),
+        firstCollectionDate: firstDate,
+        schedule: totalPence > 0 ? buildInstalmentSchedule(council, firstDate, totalPence) : [],
+        totalPence: totalPence
+    };
+}
+
+// Function to render the HTML copy of a notice from the council's template
+function renderAdvanceNoticeHtml(council, notice) {
+    const branding = council.branding || {};
+    const template = TEMPLATES[council.id] || TEMPLATES.default;
+
+    const values = {
+        councilName: escapeHtml(council.name),
+        brandColour: escapeHtml(branding.colour || DEFAULT_BRAND_COLOUR),
+        councilAddress: (branding.address || [council.name]).map(escapeHtml).join('<br>'),
+        telephone: escapeHtml(branding.telephone || ''),
+        contactEmail: escapeHtml(council.email.replyTo || council.email.from),
+        noticeDate: escapeHtml(formatDate(notice.noticeDate)),
+        customerName: escapeHtml(notice.customerName),
+        customerAddress: notice.customerAddress.map(escapeHtml).join('<br>'),
+        customerNumber: escapeHtml(notice.customerNumber),
+        reference: escapeHtml(notice.reference),
+        serviceUserNumber: escapeHtml(notice.serviceUserNumber),
+        scheduleRows: notice.schedule.map(instalment =>
+            `        <tr><td>${instalment.number}</td><td>${escapeHtml(formatDate(instalment.date))}</td><td class="amount">${escapeHtml(formatAmount(instalment.amountPence))}</td></tr>`
+        ).join('\n'),
+        instalmentCount: String(notice.schedule.length),
+        total: escapeHtml(formatAmount(notice.totalPence)),
+        guarantee: guaranteeParagraphs(council).map((paragraph, index) =>
+            index === 0 ? `<h3>${escapeHtml(paragraph)}</h3>` : `<p>${escapeHtml(paragraph)}</p>`
+        ).join('\n')
+    };
+
+    return template.replace(/\{(\w+)\}/g, (match, name) => values[name]);
+}
+
+// Function to render the PDF copy of a notice, resolving with its bytes
+function renderAdvanceNoticePdf(council, notice) {
+    const branding = council.branding || {};
+    const colour = branding.colour || DEFAULT_BRAND_COLOUR;
+    const left = 50;
+    const width = 495;
+
+    return new Promise((resolve, reject) => {
+        const doc = new PDFDocument({
+            size: 'A4',
+            margin: left,
+            info: { Title: `${council.name} - Advance notice of Direct Debit collections`, Author: council.name }
+        });
+        const chunks = [];
+        doc.on('data', chunk => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+
+        // Letterhead
+        doc.font('Helvetica-Bold').fontSize(20).fillColor(colour).text(council.name);
+        doc.font('Helvetica').fontSize(9).fillColor('#0b0c0c')
+            .text([...(branding.address || []), `Telephone: ${branding.telephone || ''}`, `Email: ${council.email.replyTo || council.email.from}`].join('\n'));
+        doc.moveDown(0.5);
+        doc.moveTo(left, doc.y).lineTo(left + width, doc.y).lineWidth(4).strokeColor(colour).stroke();
+        doc.moveDown(1.5);
+
+        // Date, recipient and introduction
+        doc.fontSize(11).text(formatDate(notice.noticeDate));
+        doc.moveDown();
+        doc.text([notice.customerName, ...notice.customerAddress].join('\n'));
+        doc.moveDown(1.5);
+        doc.font('Helvetica-Bold').fontSize(14).text('Advance notice of Direct Debit collections');
+        doc.moveDown(0.5);
+        doc.font('Helvetica').fontSize(11).text(`Dear ${notice.customerName},`);
+        doc.moveDown(0.5);
+        doc.text('Your Direct Debit instruction has been set up. This notice confirms the amounts and dates we will collect from your bank or building society account.');
+        doc.moveDown(0.5);
+        doc.text(`Customer number: ${notice.customerNumber}\nDirect Debit reference: ${notice.reference}\nService user number: ${notice.serviceUserNumber}`);
+        doc.moveDown();
+
+        // Instalment schedule
+        const columns = [{ x: left, width: 90 }, { x: left + 100, width: 250 }, { x: left + 360, width: width - 360, align: 'right' }];
+        const row = (cells, options = {}) => {
+            if (doc.y > 760) {
+                doc.addPage();
+            }
+            const y = doc.y;
+            if (options.fill) {
+                doc.rect(left, y - 3, width, 18).fill(options.fill);
+            }
+            doc.font(options.bold ? 'Helvetica-Bold' : 'Helvetica').fillColor(options.textColour || '#0b0c0c');
+            cells.forEach((cell, index) => {
+                doc.text(cell, columns[index].x + 4, y, { width: columns[index].width - 8, align: columns[index].align || 'left' });
+            });
+            doc.x = left;
+            doc.y = y + 18;
+        };
+        row(['Instalment', 'Collection date', 'Amount'], { bold: true, fill: colour, textColour: '#ffffff' });
+        notice.schedule.forEach(instalment => row([String(instalment.number), formatDate(instalment.date), formatAmount(instalment.amountPence)]));
+        row([`Total (${notice.schedule.length} instalments)`, '', formatAmount(notice.totalPence)], { bold: true });
+        doc.moveDown();
+
+        doc.font('Helvetica').fillColor('#0b0c0c')
+            .text(`${council.name} will appear against these collections on your bank statement. If anything on this notice is wrong, please contact us before the first collection date.`);
+        doc.moveDown();
+
+        // Direct Debit Guarantee
+        guaranteeParagraphs(council).forEach((paragraph, index) => {
+            doc.font(index === 0 ? 'Helvetica-Bold' : 'Helvetica').fontSize(index === 0 ? 11 : 9).text(paragraph, { width });
+            doc.moveDown(0.5);
+        });
+
+        doc.end();
+    });
+}
+
+module.exports = {
+    buildAdvanceNotice,
+    renderAdvanceNoticeHtml,
+    renderAdvanceNoticePdf
+};
@@ -0,0 +1,108 @@
+const { EncryptCommand, DecryptCommand } = require('@aws-sdk/client-kms');
+
+// Bank details captured by the third-party verification callback. Each field
+// is stored as its own KMS-encrypted binary attribute on the submission, with
+// the submission ID as encryption context so a value can't be copied onto a
+// different record and still decrypt.
+
+const BANK_FIELDS = [
+    { name: 'sortCode', attribute: 'bankSortCode', callbackKeys: ['SortCode', 'sortCode', 'sort_code'] },
+    { name: 'accountNumber', attribute: 'bankAccountNumber', callbackKeys: ['AccountNumber', 'accountNumber', 'account_number'] },
+    { name: 'accountName', attribute: 'bankAccountName', callbackKeys: ['AccountHolderName', 'AccountName', 'accountHolderName', 'account_name'] }
+];
+
+// Function to read the first populated callback key for a field
+function readCallbackValue(webhookData, keys) {
+    const key = keys.find(candidate => webhookData[candidate] !== undefined && webhookData[candidate] !== null && webhookData[candidate] !== '');
+    return key ? String(webhookData[key]) : '';
+}
+
+// Function to check bank details are complete and well-formed, returning a list of problems
+function validateBankDetails(details) {
+    const problems = [];
+
+    if (!/^\d{6}$/.test(details.sortCode || '')) {
+        problems.push('sort code must be 6 digits');
+    }
+    if (!/^\d{8}$/.test(details.accountNumber || '')) {
+        problems.push('account number must be 8 digits');
+    }
+    if (!details.accountName) {
+        problems.push('account holder name is missing');
+    }
+
+    return problems;
+}
+
+// Function to pull normalised bank details out of a verification callback
+function extractBankDetails(webhookData) {
+    const [sortCodeField, accountNumberField, accountNameField] = BANK_FIELDS;
+
+    const details = {
+        sortCode: readCallbackValue(webhookData, sortCodeField.callbackKeys).replace(/[\s-]/g, ''),
+        accountNumber: readCallbackValue(webhookData, accountNumberField.callbackKeys).replace(/\s/g, ''),
+        accountName: readCallbackValue(webhookData, accountNameField.callbackKeys).trim().replace(/\s+/g, ' ').toUpperCase()
+    };
+
+    return { details, problems: validateBankDetails(details) };
+}
+
+// Function to copy a callback payload with the bank fields masked, for logs and history
+function redactBankDetails(webhookData) {
+    const redacted = { ...webhookData };
+    BANK_FIELDS.forEach(field => {
+        field.callbackKeys.forEach(key => {
+            if (redacted[key] !== undefined) {
+                redacted[key] = '[REDACTED]';
+            }
+        });
+    });
+    return redacted;
+}
+
+// Function to encrypt bank details into DynamoDB attribute values
+async function encryptBankDetails(kmsClient, keyId, submissionId, details) {
+    const attributes = {};
+
+    for (const field of BANK_FIELDS) {
+        const response = await kmsClient.send(new EncryptCommand({
+            KeyId: keyId,
+            Plaintext: Buffer.from(details[field.name], 'utf8'),
+            EncryptionContext: { submissionId }
+        }));
+        attributes[field.attribute] = { B: response.CiphertextBlob };
+    }
+
+    return attributes;
+}
+
+// Function to decrypt bank details from a DynamoDB item; missing attributes come back empty
+async function decryptBankDetails(kmsClient, item) {
+    const submissionId = item.submissionId.S;
+    const details = {};
+
+    for (const field of BANK_FIELDS) {
+        const ciphertext = item[field.attribute]?.B;
+        if (!ciphertext) {
+            details[field.name] = '';
+            continue;
+        }
+
+        const response = await kmsClient.send(new DecryptCommand({
+            CiphertextBlob: ciphertext,
+            EncryptionContext: { submissionId }
+        }));
+        details[field.name] = Buffer.from(response.Plaintext).toString('utf8');
+    }
+
+    return details;
+}
+
+module.exports = {
+    BANK_FIELDS,
+    extractBankDetails,
+    validateBankDetails,
+    redactBankDetails,
+    encryptBankDetails,
+    decryptBankDetails
+};
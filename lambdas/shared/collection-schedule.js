@@ -0,0 +1,150 @@
+// When a new mandate's first collection can be taken, and the monthly
+// instalments that follow it. The customer must be told at least
+// noticeWorkingDays working days ahead (the advance notice is that notice,
+// so the period runs from the day it is issued), and councils that collect on
+// a fixed day of the month take the first such day after that. Bank holidays
+// are not considered.
+//
+// The confirmation email quotes the date when the mandate is approved, before
+// the notice exists, allowing noticeLeadWorkingDays for the export and notice
+// runs. It is stored on the submission and the notice keeps it while the
+// notice period still fits.
+
+const DEFAULT_COLLECTION = {
+    noticeWorkingDays: 10,
+    // Working days between approval and the advance notice being issued (the daily export, then the notice run)
+    noticeLeadWorkingDays: 2,
+    // Day of the month collections are taken on, or null to collect as soon as notice allows
+    dayOfMonth: null,
+    // Number of monthly instalments the balance is collected in. This is printed on the
+    // advance notice, so it must be the collection plan the council's ERP actually runs,
+    // confirmed with the council; until it is set no advance notices are generated.
+    instalments: null
+};
+
+// Function to get the collection settings that apply to a council
+function getCollectionSettings(council) {
+    return { ...DEFAULT_COLLECTION, ...((council && council.collection) || {}) };
+}
+
+// Function to check whether a date falls on a weekend
+function isWeekend(date) {
+    return date.getUTCDay() === 0 || date.getUTCDay() === 6;
+}
+
+// Function to move a collection that falls on a weekend to a working day in the same month:
+// the next one, or the previous one if the next is in the following month
+function toCollectionDay(date) {
+    const result = new Date(date);
+    const step = direction => {
+        while (isWeekend(result)) {
+            result.setUTCDate(result.getUTCDate() + direction);
+        }
+    };
+    step(1);
+    if (result.getUTCMonth() !== date.getUTCMonth()) {
+        result.setTime(date.getTime());
+        step(-1);
+    }
+    return result;
+}
+
+// Function to move a date forward by a number of working days
+function addWorkingDays(date, days) {
+    const result = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+    let remaining = days;
+    while (remaining > 0) {
+        result.setUTCDate(result.getUTCDate() + 1);
+        if (!isWeekend(result)) {
+            remaining--;
+        }
+    }
+    return result;
+}
+
+// Function to get a council's first possible collection date for a mandate set up on a date, as YYYY-MM-DD
+function firstCollectionDate(council, setUpDate = new Date()) {
+    const settings = getCollectionSettings(council);
+    let date = addWorkingDays(setUpDate, settings.noticeWorkingDays);
+
+    if (settings.dayOfMonth) {
+        const earliest = date;
+        // The collection day in the earliest date's month (clamped to the month's length), or the next month's.
+        // Moving it off a weekend can bring it earlier, so the notice period is checked afterwards.
+        for (let monthOffset = 0; ; monthOffset++) {
+            const lastDay = new Date(Date.UTC(earliest.getUTCFullYear(), earliest.getUTCMonth() + monthOffset + 1, 0)).getUTCDate();
+            date = toCollectionDay(new Date(Date.UTC(earliest.getUTCFullYear(), earliest.getUTCMonth() + monthOffset, Math.min(settings.dayOfMonth, lastDay))));
+            if (date >= earliest) {
+                break;
+            }
+        }
+    }
+
+    // Without a fixed day, a collection falling on a weekend is taken the next working day
+    while (isWeekend(date)) {
+        date.setUTCDate(date.getUTCDate() + 1);
+    }
+
+    return date.toISOString().slice(0, 10);
+}
+
+// Function to get the first collection date to quote when a mandate is approved, as YYYY-MM-DD
+function approvalCollectionDate(council, approvedAt = new Date()) {
+    const settings = getCollectionSettings(council);
+    return firstCollectionDate(council, addWorkingDays(approvedAt, settings.noticeLeadWorkingDays));
+}
+
+// Function to parse an amount in pounds (e.g. "1,234.56" or "£12") into pence, or null if it isn't one
+function parseAmountToPence(value) {
+    const text = String(value || '').replace(/[£,\s]/g, '');
+    if (!/^\d+(\.\d{1,2})?$/.test(text)) {
+        return null;
+    }
+    const [pounds, pence = ''] = text.split('.');
+    return Number(pounds) * 100 + Number(pence.padEnd(2, '0'));
+}
+
+// Function to check whether a council has a confirmed instalment plan to put on advance notices
+function hasCollectionPlan(council) {
+    const { instalments } = getCollectionSettings(council);
+    return Number.isInteger(instalments) && instalments > 0;
+}
+
+// Function to split a balance into the council's monthly instalments from the first collection date.
+// Each instalment is the same whole number of pence, with any remainder added to the first.
+function buildInstalmentSchedule(council, firstDate, totalPence) {
+    const settings = getCollectionSettings(council);
+    if (!hasCollectionPlan(council)) {
+        throw new Error(`Council '${council.id}' has no confirmed instalment plan (collection.instalments)`);
+    }
+    const count = Math.max(1, Math.min(settings.instalments, totalPence));
+    const first = new Date(`${firstDate}T00:00:00Z`);
+    // Later instalments fall on the collection day (or the first collection's day) of each following month
+    const day = settings.dayOfMonth || first.getUTCDate();
+    const baseAmount = Math.floor(totalPence / count);
+
+    const schedule = [];
+    for (let index = 0; index < count; index++) {
+        let date = first;
+        if (index > 0) {
+            const lastDay = new Date(Date.UTC(first.getUTCFullYear(), first.getUTCMonth() + index + 1, 0)).getUTCDate();
+            date = toCollectionDay(new Date(Date.UTC(first.getUTCFullYear(), first.getUTCMonth() + index, Math.min(day, lastDay))));
+        }
+        schedule.push({
+            number: index + 1,
+            date: date.toISOString().slice(0, 10),
+            amountPence: index === 0 ? totalPence - baseAmount * (count - 1) : baseAmount
+        });
+    }
+    return schedule;
+}
+
+module.exports = {
+    getCollectionSettings,
+    addWorkingDays,
+    firstCollectionDate,
+    approvalCollectionDate,
+    parseAmountToPence,
+    hasCollectionPlan,
+    buildInstalmentSchedule
+};
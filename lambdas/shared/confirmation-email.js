@@ -0,0 +1,135 @@
+const { TEMPLATES } = require('../../config/email-templates');
+const { GUARANTEE } = require('../../config/direct-debit-guarantee');
+const { SUBMISSION_STATUS } = require('./submission-status');
+
+// Builds the confirmation email for a verification outcome from the council's
+// templates (config/email-templates.js). Sending is left to the transport.
+
+// Outcomes a confirmation email is sent for
+const EMAIL_OUTCOMES = [SUBMISSION_STATUS.APPROVED, SUBMISSION_STATUS.FAILED];
+
+const PLACEHOLDERS = [
+    'customerName',
+    'councilName',
+    'customerNumber',
+    'reference',
+    'serviceUserNumber',
+    'accountHolderName',
+    'sortCode',
+    'accountNumber',
+    'firstCollectionDate',
+    'guarantee',
+    'contactEmail'
+];
+
+// Shown in place of a detail that isn't available
+const NOT_AVAILABLE = 'not available';
+
+// Function to get the template for a council and outcome, with the council's overrides applied
+function getTemplate(council, outcome) {
+    return { ...TEMPLATES.default[outcome], ...(TEMPLATES[council.id]?.[outcome] || {}) };
+}
+
+// Function to fill a template's placeholders
+function render(text, values) {
+    return text.replace(/\{(\w+)\}/g, (match, name) => values[name] ?? NOT_AVAILABLE);
+}
+
+// Function to check every template when the module loads, so a typo fails the cold start
+function validateTemplates() {
+    const check = (text, where) => {
+        (text.match(/\{(\w+)\}/g) || []).forEach(placeholder => {
+            if (!PLACEHOLDERS.includes(placeholder.slice(1, -1))) {
+                throw new Error(`${where} uses unknown placeholder ${placeholder}`);
+            }
+        });
+    };
+
+    check(GUARANTEE, 'Direct Debit Guarantee text');
+    Object.entries(TEMPLATES).forEach(([templateSet, outcomes]) => {
+        Object.entries(outcomes).forEach(([outcome, template]) => {
+            if (!EMAIL_OUTCOMES.includes(outcome)) {
+                throw new Error(`Email templates '${templateSet}' have unknown outcome '${outcome}'`);
+            }
+            Object.entries(template).forEach(([part, text]) => check(text, `Email template '${templateSet}' ${outcome} ${part}`));
+        });
+    });
+    EMAIL_OUTCOMES.forEach(outcome => {
+        if (!TEMPLATES.default[outcome]?.subject || !TEMPLATES.default[outcome]?.text) {
+            throw new Error(`Default email template for '${outcome}' needs a subject and text`);
+        }
+    });
+}
+
+validateTemplates();
+
+// Function to mask all but the last digits of a bank detail
+function mask(value, visibleDigits) {
+    if (!value) {
+        return undefined;
+    }
+    return `${'*'.repeat(value.length - visibleDigits)}${value.slice(-visibleDigits)}`;
+}
+
+// Function to format a YYYY-MM-DD date for the email, e.g. "Monday, 3 November 2025"
+function formatDate(isoDate) {
+    if (!isoDate) {
+        return undefined;
+    }
+    return new Date(`${isoDate}T00:00:00Z`).toLocaleDateString('en-GB', {
+        weekday: 'long',
+        day: 'numeric',
+        month: 'long',
+        year: 'numeric',
+        timeZone: 'UTC'
+    });
+}
+
+// Function to escape text for HTML
+function escapeHtml(text) {
+    return text.replace(/[&<>"']/g, character => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[character]);
+}
+
+// Function to build the HTML part from the rendered text
+function textToHtml(text) {
+    const paragraphs = text.split(/\n{2,}/).map(paragraph => `<p>${escapeHtml(paragraph).replace(/\n/g, '<br>')}</p>`);
+    return `<!DOCTYPE html>\n<html><body>\n${paragraphs.join('\n')}\n</body></html>`;
+}
+
+// Function to build the confirmation email for an outcome; bankDetails and firstCollectionDate are only known on approval
+function buildConfirmationEmail(council, outcome, { email, customerName, customerNumber, bankDetails, firstCollectionDate }) {
+    if (!EMAIL_OUTCOMES.includes(outcome)) {
+        throw new Error(`No confirmation email for outcome '${outcome}'`);
+    }
+
+    const values = {
+        customerName: customerName || 'customer',
+        councilName: council.name,
+        customerNumber: customerNumber,
+        reference: customerNumber,
+        serviceUserNumber: council.bacs?.serviceUserNumber,
+        accountHolderName: bankDetails?.accountName,
+        sortCode: mask(bankDetails?.sortCode, 2),
+        accountNumber: mask(bankDetails?.accountNumber, 4),
+        firstCollectionDate: formatDate(firstCollectionDate),
+        contactEmail: council.email.replyTo || council.email.from
+    };
+    values.guarantee = render(GUARANTEE, values);
+
+    const template = getTemplate(council, outcome);
+    const text = render(template.text, values);
+
+    return {
+        from: council.email.from,
+        replyTo: council.email.replyTo,
+        to: email,
+        subject: render(template.subject, values),
+        text: text,
+        html: textToHtml(text)
+    };
+}
+
+module.exports = {
+    EMAIL_OUTCOMES,
+    buildConfirmationEmail
+};
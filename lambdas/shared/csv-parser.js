@@ -0,0 +1,130 @@
+const { StringDecoder } = require('string_decoder');
+
+// Streaming RFC 4180 CSV parser. Reads any async iterable of Buffers or
+// strings (such as an S3 GetObject body) and yields one array of fields per
+// record, holding only the record being parsed in memory.
+//
+// Handles quoted fields containing commas, line breaks and doubled quotes,
+// CRLF, LF or CR line endings, and a leading UTF-8 byte order mark. Malformed
+// quoting throws with the line number rather than producing a corrupt row.
+
+const QUOTE = '"';
+const DELIMITER = ',';
+
+// Function to parse CSV records from a stream of chunks
+async function* parseCsv(source) {
+    const decoder = new StringDecoder('utf8');
+
+    let field = '';
+    let record = [];
+    let inQuotes = false;
+    // Set after a closing quote: only a delimiter, line break or another quote may follow
+    let afterQuote = false;
+    // Set after a CR so a following LF is treated as part of the same line break
+    let afterCarriageReturn = false;
+    let isFirstChunk = true;
+    let line = 1;
+
+    const endRecord = () => {
+        record.push(field);
+        const completed = record;
+        field = '';
+        record = [];
+        return completed;
+    };
+
+    for await (const chunk of source) {
+        let text = typeof chunk === 'string' ? chunk : decoder.write(chunk);
+
+        if (isFirstChunk && text.length > 0) {
+            if (text.charCodeAt(0) === 0xfeff) {
+                text = text.slice(1);
+            }
+            isFirstChunk = false;
+        }
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (afterCarriageReturn) {
+                afterCarriageReturn = false;
+                if (char === '\n') {
+                    continue;
+                }
+            }
+
+            if (inQuotes) {
+                if (char === QUOTE) {
+                    inQuotes = false;
+                    afterQuote = true;
+                } else {
+                    if (char === '\n') {
+                        line++;
+                    }
+                    field += char;
+                }
+                continue;
+            }
+
+            if (char === QUOTE) {
+                if (afterQuote) {
+                    // Doubled quote inside a quoted field
+                    field += QUOTE;
+                    inQuotes = true;
+                    afterQuote = false;
+                } else if (field.length === 0) {
+                    inQuotes = true;
+                } else {
+                    throw new Error(`CSV line ${line}: unexpected quote in unquoted field`);
+                }
+                continue;
+            }
+
+            if (char === DELIMITER) {
+                record.push(field);
+                field = '';
+                afterQuote = false;
+                continue;
+            }
+
+            if (char === '\r' || char === '\n') {
+                afterCarriageReturn = char === '\r';
+                afterQuote = false;
+                line++;
+                yield endRecord();
+                continue;
+            }
+
+            if (afterQuote) {
+                throw new Error(`CSV line ${line}: unexpected character after closing quote`);
+            }
+            field += char;
+        }
+    }
+
+    const remaining = decoder.end();
+    if (remaining.length > 0) {
+        // A multi-byte character cut off at the end of the stream
+        throw new Error(`CSV line ${line}: incomplete UTF-8 sequence at end of file`);
+    }
+    if (inQuotes) {
+        throw new Error(`CSV line ${line}: unterminated quoted field at end of file`);
+    }
+    // Final record without a trailing line break
+    if (field.length > 0 || record.length > 0 || afterQuote) {
+        yield endRecord();
+    }
+}
+
+// Function to format one record as a CSV line, quoting fields where RFC 4180 requires it
+function formatCsvRow(fields) {
+    return fields.map(value => {
+        const text = value === undefined || value === null ? '' : String(value);
+        return /[",\r\n]/.test(text) ? QUOTE + text.replace(/"/g, '""') + QUOTE : text;
+    }).join(DELIMITER);
+}
+
+module.exports = {
+    parseCsv,
+    formatCsvRow
+};
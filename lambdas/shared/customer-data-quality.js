@@ -0,0 +1,112 @@
+const { listCouncils, matchesCouncil } = require('../../config/councils');
+const { PROFILE_COLUMNS } = require('./customer-profile');
+
+// Data-quality checks for the nightly customer load. Each row is checked on
+// its own, and each council's file as a whole is checked against thresholds
+// so a truncated or corrupt extract is stopped before it replaces the live
+// customers.
+
+// Full UK postcode, with or without the space before the inward code
+const POSTCODE_PATTERN = /^[A-Z]{1,2}\d[A-Z\d]? ?\d[A-Z]{2}$/i;
+
+const REJECT_REASONS = {
+    MISSING_COLUMNS: 'missing columns',
+    INVALID_CUSTOMER_NUMBER: 'invalid customer number',
+    INVALID_POSTCODE: 'invalid postcode',
+    DUPLICATE_CUSTOMER_NUMBER: 'duplicate customer number',
+    PROFILE_VALUE_TOO_LONG: 'profile value too long'
+};
+
+// Function to check a threshold is a number; 0 is a valid setting
+function checkThreshold(name, value) {
+    if (typeof value !== 'number' || Number.isNaN(value)) {
+        throw new Error(`${name} must be a number, got '${value}'`);
+    }
+    return value;
+}
+
+// Function to read a threshold from the environment; anything that isn't a number throws
+function thresholdFromEnv(variable, fallback) {
+    return checkThreshold(variable, parseFloat(process.env[variable] ?? fallback));
+}
+
+// Defaults for every council. Precedence: a council's dataQuality entry, then the
+// DQ_* environment variables, then these built-in values.
+const DEFAULT_THRESHOLDS = {
+    // Abort if more than this percentage of a file's rows are rejected
+    maxRejectPercent: thresholdFromEnv('DQ_MAX_REJECT_PERCENT', 5),
+    // Abort if a file has this percentage fewer valid rows than the live table
+    maxRowCountDropPercent: thresholdFromEnv('DQ_MAX_ROW_COUNT_DROP_PERCENT', 20)
+};
+
+// Council overrides are checked like the environment, so a bad entry fails the cold start
+for (const council of listCouncils()) {
+    for (const [name, value] of Object.entries(council.dataQuality || {})) {
+        if (!(name in DEFAULT_THRESHOLDS)) {
+            throw new Error(`Council '${council.id}' has unknown dataQuality setting '${name}'`);
+        }
+        checkThreshold(`Council '${council.id}' dataQuality.${name}`, value);
+    }
+}
+
+// Function to get the thresholds that apply to a council
+function getThresholds(council) {
+    return { ...DEFAULT_THRESHOLDS, ...(council.dataQuality || {}) };
+}
+
+// Function to check one CSV row's mapped values (null if the row was too short to map),
+// returning the reasons it is rejected (empty if valid)
+function validateCustomerRow(council, record, seenCustomerNumbers) {
+    if (!record) {
+        return [REJECT_REASONS.MISSING_COLUMNS];
+    }
+
+    const reasons = [];
+    const customerNumber = record.customer_number;
+    const postcode = record.postcode;
+
+    if (!matchesCouncil(council, customerNumber)) {
+        reasons.push(REJECT_REASONS.INVALID_CUSTOMER_NUMBER);
+    } else if (seenCustomerNumbers.has(customerNumber)) {
+        reasons.push(REJECT_REASONS.DUPLICATE_CUSTOMER_NUMBER);
+    }
+    if (!POSTCODE_PATTERN.test(postcode)) {
+        reasons.push(REJECT_REASONS.INVALID_POSTCODE);
+    }
+    Object.entries(PROFILE_COLUMNS).forEach(([field, maxLength]) => {
+        if (record[field] && record[field].length > maxLength) {
+            reasons.push(`${REJECT_REASONS.PROFILE_VALUE_TOO_LONG}: ${field}`);
+        }
+    });
+
+    return reasons;
+}
+
+// Function to check a council's load statistics against its thresholds, returning any breaches
+function checkLoadThresholds(council, stats, previousRowCount) {
+    const thresholds = getThresholds(council);
+    const breaches = [];
+
+    const totalRows = stats.rowsAccepted + stats.rowsRejected;
+    const rejectPercent = totalRows > 0 ? (stats.rowsRejected / totalRows) * 100 : 0;
+    if (rejectPercent > thresholds.maxRejectPercent) {
+        breaches.push(`${rejectPercent.toFixed(2)}% of rows rejected, maximum ${thresholds.maxRejectPercent}%`);
+    }
+
+    // Only meaningful once there is a previous load to compare against
+    if (previousRowCount > 0) {
+        const dropPercent = ((previousRowCount - stats.rowsAccepted) / previousRowCount) * 100;
+        if (dropPercent > thresholds.maxRowCountDropPercent) {
+            breaches.push(`${stats.rowsAccepted} valid rows is ${dropPercent.toFixed(2)}% fewer than the ${previousRowCount} currently loaded, maximum drop ${thresholds.maxRowCountDropPercent}%`);
+        }
+    }
+
+    return breaches;
+}
+
+module.exports = {
+    REJECT_REASONS,
+    getThresholds,
+    validateCustomerRow,
+    checkLoadThresholds
+};
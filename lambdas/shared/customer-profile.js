@@ -0,0 +1,133 @@
+// Customer profile columns loaded from the council extracts alongside the
+// customer number and postcode. Each council's columnMapping in the registry
+// names the CSV header (or gives the zero-based column index) for each column;
+// profile columns a council doesn't map are loaded as NULL.
+
+// Profile columns of the customers table, with their maximum lengths
+const PROFILE_COLUMNS = {
+    customer_name: 100,
+    address_line1: 100,
+    address_line2: 100,
+    address_line3: 100,
+    account_type: 30,
+    balance_band: 20,
+    // Amount owed as a decimal string in pounds, split into the advance notice's instalments.
+    // Only map it once the council's extract has a balance column.
+    balance: 15
+};
+
+const PROFILE_FIELDS = Object.keys(PROFILE_COLUMNS);
+
+// Submission attributes a customer's profile is copied to, for the ERP export and the advance notice
+const PROFILE_ATTRIBUTES = {
+    customer_name: 'customerName',
+    address_line1: 'addressLine1',
+    address_line2: 'addressLine2',
+    address_line3: 'addressLine3',
+    account_type: 'accountType',
+    balance_band: 'balanceBand',
+    balance: 'balance'
+};
+
+// Columns every council must provide
+const REQUIRED_FIELDS = ['customer_number', 'postcode'];
+
+// Used for councils without a columnMapping: the original three-column extract
+const DEFAULT_COLUMN_MAPPING = {
+    customer_number: 0,
+    postcode: 1
+};
+
+// Function to get the column mapping that applies to a council
+function getColumnMapping(council) {
+    return council.columnMapping || DEFAULT_COLUMN_MAPPING;
+}
+
+// Function to resolve a council's column mapping against a file's header row into column indexes
+function resolveColumnIndexes(council, headerRow) {
+    const mapping = getColumnMapping(council);
+    const headers = headerRow.map(header => header.trim().toUpperCase());
+    const indexes = {};
+
+    const unknown = Object.keys(mapping).filter(field => !REQUIRED_FIELDS.includes(field) && !PROFILE_FIELDS.includes(field));
+    if (unknown.length > 0) {
+        throw new Error(`Council '${council.id}' column mapping has unknown fields: ${unknown.join(', ')}`);
+    }
+
+    const missing = [];
+    [...REQUIRED_FIELDS, ...PROFILE_FIELDS].forEach(field => {
+        const column = mapping[field];
+        if (column === undefined) {
+            if (REQUIRED_FIELDS.includes(field)) {
+                missing.push(field);
+            }
+            return;
+        }
+
+        const index = typeof column === 'number' ? column : headers.indexOf(String(column).trim().toUpperCase());
+        if (index < 0 || index >= headers.length) {
+            missing.push(`${field} (${column})`);
+            return;
+        }
+        indexes[field] = index;
+    });
+
+    // A renamed or dropped column means the mapping no longer describes the file
+    if (missing.length > 0) {
+        throw new Error(`${council.sourceCsv} header does not contain the mapped columns: ${missing.join(', ')}`);
+    }
+
+    return indexes;
+}
+
+// Function to pick a row's mapped values, returning null if the row is too short to hold them.
+// Values are never truncated: the row checks reject profile values longer than their column.
+function mapColumns(columns, indexes) {
+    const values = {};
+
+    for (const [field, index] of Object.entries(indexes)) {
+        if (index >= columns.length) {
+            return null;
+        }
+        const value = columns[index].trim();
+        values[field] = PROFILE_FIELDS.includes(field) ? value || null : value;
+    }
+
+    PROFILE_FIELDS.forEach(field => {
+        if (values[field] === undefined) {
+            values[field] = null;
+        }
+    });
+
+    return values;
+}
+
+// Function to convert a profile to DynamoDB submission attributes, leaving out empty values
+function profileToAttributes(profile) {
+    const attributes = {};
+    PROFILE_FIELDS.forEach(field => {
+        if (profile && profile[field]) {
+            attributes[PROFILE_ATTRIBUTES[field]] = { S: profile[field] };
+        }
+    });
+    return attributes;
+}
+
+// Function to read a customer's profile from the customers table (db is a connection, pool or the shared database module)
+async function getCustomerProfile(db, customerNumber) {
+    const [rows] = await db.execute(
+        `SELECT ${PROFILE_FIELDS.join(', ')} FROM customers WHERE customer_number = ? LIMIT 1`,
+        [customerNumber]
+    );
+    return rows.length > 0 ? rows[0] : null;
+}
+
+module.exports = {
+    PROFILE_COLUMNS,
+    PROFILE_FIELDS,
+    PROFILE_ATTRIBUTES,
+    profileToAttributes,
+    resolveColumnIndexes,
+    mapColumns,
+    getCustomerProfile
+};
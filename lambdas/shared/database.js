@@ -0,0 +1,112 @@
+const mysql = require('mysql2/promise');
+const { SecretsManagerClient, GetSecretValueCommand } = require('@aws-sdk/client-secrets-manager');
+const { loadConfig } = require('./environment-config');
+
+// MySQL access for the lambdas. Credentials are read from
+// Secrets Manager once per container and a connection pool is kept across
+// warm invocations. When the secret is rotated the next query fails
+// authentication, which drops the pool, re-reads the secret and retries once.
+
+const config = loadConfig();
+const secretsClient = new SecretsManagerClient({ region: config.region });
+const SECRET_NAME = config.databaseSecret;
+
+// A Lambda container handles one request at a time, so a small pool is enough
+const POOL_SIZE = parseInt(process.env.DB_POOL_SIZE) || 2;
+
+// MySQL error codes meaning the credentials are no longer valid
+const AUTH_ERROR_CODES = ['ER_ACCESS_DENIED_ERROR', 'ER_DBACCESS_DENIED_ERROR'];
+
+let credentialsPromise;
+let pool;
+
+// Get RDS credentials from Secrets Manager, cached until they stop working
+function getRDSCredentials() {
+    if (!credentialsPromise) {
+        credentialsPromise = (async () => {
+            const command = new GetSecretValueCommand({ SecretId: SECRET_NAME });
+            const response = await secretsClient.send(command);
+            const secret = JSON.parse(response.SecretString);
+
+            return {
+                host: process.env.DB_HOST, // RDS-managed secrets don't include host
+                user: secret.username,
+                password: secret.password,
+                database: process.env.DB_NAME || 'customers',
+                port: parseInt(process.env.DB_PORT) || 3306
+            };
+        })().catch(error => {
+            // Don't cache a failed read
+            credentialsPromise = undefined;
+            console.error('Failed to retrieve RDS credentials from Secrets Manager:', error);
+            throw error;
+        });
+    }
+    return credentialsPromise;
+}
+
+// Function to get the shared connection pool, creating it on first use
+async function getPool() {
+    if (!pool) {
+        const credentials = await getRDSCredentials();
+        pool = mysql.createPool({
+            ...credentials,
+            connectionLimit: POOL_SIZE,
+            waitForConnections: true,
+            enableKeepAlive: true,
+            // Close connections left idle between invocations before RDS does
+            idleTimeout: 60000
+        });
+    }
+    return pool;
+}
+
+// Function to drop the cached credentials and pool so the next query starts afresh
+async function resetPool() {
+    const stalePool = pool;
+    pool = undefined;
+    credentialsPromise = undefined;
+
+    if (stalePool) {
+        try {
+            await stalePool.end();
+        } catch (error) {
+            console.warn('Error closing stale connection pool:', error.message);
+        }
+    }
+}
+
+// Function to run a prepared statement on the pool, re-reading rotated credentials once on an auth failure
+async function execute(sql, params) {
+    try {
+        return await (await getPool()).execute(sql, params);
+    } catch (error) {
+        if (!AUTH_ERROR_CODES.includes(error.code)) {
+            throw error;
+        }
+        console.warn('Database authentication failed, refreshing credentials:', error.code);
+        await resetPool();
+        return (await getPool()).execute(sql, params);
+    }
+}
+
+// Function to check out a pool connection for work that needs one session, such as a transaction.
+// Callers release it when done; a rotated secret is re-read once as in execute.
+async function getConnection() {
+    try {
+        return await (await getPool()).getConnection();
+    } catch (error) {
+        if (!AUTH_ERROR_CODES.includes(error.code)) {
+            throw error;
+        }
+        console.warn('Database authentication failed, refreshing credentials:', error.code);
+        await resetPool();
+        return (await getPool()).getConnection();
+    }
+}
+
+module.exports = {
+    execute,
+    getConnection,
+    resetPool
+};
@@ -0,0 +1,190 @@
+const crypto = require('crypto');
+
+// Encryption of the eData query string handed to the third-party verification
+// service, using the shared secret agreed with the provider.
+//
+// The SSM parameter holds either a plain secret (legacy: AES-256-CBC, no key
+// ID) or a versioned key set as JSON:
+//
+//   { "keys": [
+//       { "id": "2025-10", "secret": "...", "validFrom": "2025-10-01T00:00:00Z" },
+//       { "id": "2025-04", "secret": "...", "validUntil": "2025-10-08T00:00:00Z" }
+//   ] }
+//
+// New links use the newest key whose validFrom has passed, so a rotation can
+// be staged ahead of time. Older keys stay valid for decryption until their
+// validUntil, giving in-flight links a grace window. Versioned eData is
+// "<key id>:<base64 payload>"; the payload depends on the council's mode:
+//
+//   cbc       IV (16) + AES-256-CBC ciphertext, key = SHA-256(secret)
+//   gcm       IV (12) + AES-256-GCM ciphertext + tag (16), key = SHA-256(secret), key ID as AAD
+//   cbc-hmac  IV (16) + AES-256-CBC ciphertext + HMAC-SHA256 (32) over "<key id>:" + IV + ciphertext,
+//             encryption and MAC keys derived from the secret with HKDF-SHA256
+//             (info "edata-encryption" / "edata-mac")
+
+const MODES = ['cbc', 'gcm', 'cbc-hmac'];
+const KEY_ID_PATTERN = /^[A-Za-z0-9_-]{1,32}$/;
+
+// Function to parse the shared secret parameter into a key set
+function parseSharedSecret(value) {
+    const text = String(value || '').trim();
+    if (!text.startsWith('{')) {
+        return { legacy: true, keys: [{ id: null, secret: text }] };
+    }
+
+    const parsed = JSON.parse(text);
+    if (!Array.isArray(parsed.keys) || parsed.keys.length === 0) {
+        throw new Error('Shared secret key set has no keys');
+    }
+
+    const keys = parsed.keys.map(key => {
+        if (!KEY_ID_PATTERN.test(key.id || '')) {
+            throw new Error(`Shared secret key id '${key.id}' is invalid`);
+        }
+        if (!key.secret) {
+            throw new Error(`Shared secret key '${key.id}' has no secret`);
+        }
+        return {
+            id: key.id,
+            secret: key.secret,
+            validFrom: key.validFrom ? Date.parse(key.validFrom) : 0,
+            validUntil: key.validUntil ? Date.parse(key.validUntil) : Infinity
+        };
+    });
+
+    return { legacy: false, keys };
+}
+
+// Function to list the keys valid for decryption at a time
+function validKeys(keySet, now = Date.now()) {
+    if (keySet.legacy) {
+        return keySet.keys;
+    }
+    return keySet.keys.filter(key => key.validFrom <= now && now <= key.validUntil);
+}
+
+// Function to choose the key new links are encrypted with: the most recently activated valid key
+function selectEncryptionKey(keySet, now = Date.now()) {
+    const candidates = validKeys(keySet, now).slice().sort((a, b) => b.validFrom - a.validFrom);
+    if (candidates.length === 0) {
+        throw new Error('Shared secret key set has no key valid now');
+    }
+    return candidates[0];
+}
+
+// Function to derive the AES key (and MAC key, for cbc-hmac) for a mode
+function deriveKeys(secret, mode) {
+    if (mode === 'cbc-hmac') {
+        return {
+            encryptionKey: Buffer.from(crypto.hkdfSync('sha256', secret, Buffer.alloc(0), 'edata-encryption', 32)),
+            macKey: Buffer.from(crypto.hkdfSync('sha256', secret, Buffer.alloc(0), 'edata-mac', 32))
+        };
+    }
+    return { encryptionKey: crypto.createHash('sha256').update(secret).digest() };
+}
+
+// Function to check a mode is supported, defaulting to the legacy cbc
+function checkMode(mode = 'cbc') {
+    if (!MODES.includes(mode)) {
+        throw new Error(`Unsupported eData encryption mode '${mode}'`);
+    }
+    return mode;
+}
+
+// Function to encrypt a query string into eData
+function encryptEData(keySet, plaintext, mode) {
+    mode = checkMode(mode);
+    if (keySet.legacy && mode !== 'cbc') {
+        throw new Error(`eData mode '${mode}' needs a versioned shared secret`);
+    }
+
+    const key = selectEncryptionKey(keySet);
+    const { encryptionKey, macKey } = deriveKeys(key.secret, mode);
+    let payload;
+
+    if (mode === 'gcm') {
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey, iv);
+        cipher.setAAD(Buffer.from(key.id));
+        const cipherText = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+        payload = Buffer.concat([iv, cipherText, cipher.getAuthTag()]);
+    } else {
+        const iv = crypto.randomBytes(16);
+        const cipher = crypto.createCipheriv('aes-256-cbc', encryptionKey, iv);
+        payload = Buffer.concat([iv, cipher.update(plaintext, 'utf8'), cipher.final()]);
+
+        if (mode === 'cbc-hmac') {
+            const mac = crypto.createHmac('sha256', macKey).update(`${key.id}:`).update(payload).digest();
+            payload = Buffer.concat([payload, mac]);
+        }
+    }
+
+    const encoded = payload.toString('base64');
+    return { eData: keySet.legacy ? encoded : `${key.id}:${encoded}`, keyId: key.id };
+}
+
+// Function to decrypt eData, checking its key is still valid (pass now to inspect old links)
+function decryptEData(keySet, eData, mode, now = Date.now()) {
+    mode = checkMode(mode);
+
+    const separator = eData.indexOf(':');
+    const keyId = separator >= 0 ? eData.slice(0, separator) : null;
+    const payload = Buffer.from(separator >= 0 ? eData.slice(separator + 1) : eData, 'base64');
+
+    let key;
+    if (keySet.legacy) {
+        if (keyId !== null) {
+            throw new Error(`eData has key id '${keyId}' but the shared secret is not versioned`);
+        }
+        key = keySet.keys[0];
+    } else {
+        if (keyId === null) {
+            throw new Error('eData has no key id');
+        }
+        key = keySet.keys.find(candidate => candidate.id === keyId);
+        if (!key) {
+            throw new Error(`eData key id '${keyId}' is not in the key set`);
+        }
+        if (!validKeys(keySet, now).includes(key)) {
+            throw new Error(`eData key '${keyId}' is outside its validity window`);
+        }
+    }
+
+    const { encryptionKey, macKey } = deriveKeys(key.secret, mode);
+    let plaintext;
+
+    try {
+        if (mode === 'gcm') {
+            const iv = payload.subarray(0, 12);
+            const tag = payload.subarray(payload.length - 16);
+            const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey, iv);
+            decipher.setAAD(Buffer.from(key.id));
+            decipher.setAuthTag(tag);
+            plaintext = Buffer.concat([decipher.update(payload.subarray(12, payload.length - 16)), decipher.final()]);
+        } else {
+            let body = payload;
+            if (mode === 'cbc-hmac') {
+                body = payload.subarray(0, payload.length - 32);
+                const expected = crypto.createHmac('sha256', macKey).update(`${key.id}:`).update(body).digest();
+                const provided = payload.subarray(payload.length - 32);
+                if (provided.length !== expected.length || !crypto.timingSafeEqual(expected, provided)) {
+                    throw new Error('MAC does not match');
+                }
+            }
+            const decipher = crypto.createDecipheriv('aes-256-cbc', encryptionKey, body.subarray(0, 16));
+            plaintext = Buffer.concat([decipher.update(body.subarray(16)), decipher.final()]);
+        }
+    } catch (error) {
+        throw new Error(`eData could not be decrypted with key '${key.id || 'legacy'}' in ${mode} mode: ${error.message}`);
+    }
+
+    return { keyId: key.id, mode, plaintext: plaintext.toString('utf8') };
+}
+
+module.exports = {
+    MODES,
+    parseSharedSecret,
+    selectEncryptionKey,
+    encryptEData,
+    decryptEData
+};
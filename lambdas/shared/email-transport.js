@@ -0,0 +1,103 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const { SESv2Client, SendEmailCommand } = require('@aws-sdk/client-sesv2');
+
+// Pluggable email transports, chosen by the environment's email.transport:
+//   ses   Amazon SES (production)
+//   smtp  any SMTP server, e.g. a local mail catcher when testing
+//   file  writes each message as JSON to a directory instead of sending it
+// Every transport takes { from, replyTo, to, subject, text, html, tags } and
+// resolves with { messageId }, or rejects if the message was not accepted.
+
+const TRANSPORTS = ['ses', 'smtp', 'file'];
+
+// Function to create the SES transport
+function createSesTransport(settings, region) {
+    const sesClient = new SESv2Client({ region });
+
+    return {
+        name: 'ses',
+        async send(message) {
+            const response = await sesClient.send(new SendEmailCommand({
+                FromEmailAddress: message.from,
+                Destination: { ToAddresses: [message.to] },
+                ReplyToAddresses: message.replyTo ? [message.replyTo] : undefined,
+                Content: {
+                    Simple: {
+                        Subject: { Data: message.subject, Charset: 'UTF-8' },
+                        Body: {
+                            Text: { Data: message.text, Charset: 'UTF-8' },
+                            Html: { Data: message.html, Charset: 'UTF-8' }
+                        }
+                    }
+                },
+                // Lets SES delivery and bounce events be matched back to the submission
+                ConfigurationSetName: settings.configurationSet,
+                EmailTags: Object.entries(message.tags || {}).map(([Name, Value]) => ({ Name, Value }))
+            }));
+            return { messageId: response.MessageId };
+        }
+    };
+}
+
+// Function to create the SMTP transport (nodemailer is only loaded when it is used)
+function createSmtpTransport(settings) {
+    const nodemailer = require('nodemailer');
+    const transporter = nodemailer.createTransport({
+        host: settings.smtpHost,
+        port: parseInt(settings.smtpPort) || 25,
+        secure: false
+    });
+
+    return {
+        name: 'smtp',
+        async send(message) {
+            const info = await transporter.sendMail({
+                from: message.from,
+                replyTo: message.replyTo,
+                to: message.to,
+                subject: message.subject,
+                text: message.text,
+                html: message.html,
+                headers: Object.fromEntries(Object.entries(message.tags || {}).map(([name, value]) => [`X-Tag-${name}`, value]))
+            });
+            return { messageId: info.messageId };
+        }
+    };
+}
+
+// Function to create the file sink
+function createFileTransport(settings) {
+    return {
+        name: 'file',
+        async send(message) {
+            const messageId = crypto.randomUUID();
+            await fs.mkdir(settings.directory, { recursive: true });
+            await fs.writeFile(
+                path.join(settings.directory, `${new Date().toISOString().replace(/[:.]/g, '-')}_${messageId}.json`),
+                JSON.stringify({ messageId, ...message }, null, 2)
+            );
+            return { messageId };
+        }
+    };
+}
+
+// Function to create the transport an environment's email settings name
+function createTransport(settings, region) {
+    switch (settings.transport) {
+        case 'ses':
+            return createSesTransport(settings, region);
+        case 'smtp':
+            return createSmtpTransport(settings);
+        case 'file':
+            return createFileTransport(settings);
+        default:
+            throw new Error(`Unknown email transport '${settings.transport}'; expected one of ${TRANSPORTS.join(', ')}`);
+    }
+}
+
+module.exports = {
+    TRANSPORTS,
+    createTransport
+};
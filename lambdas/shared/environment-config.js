@@ -0,0 +1,204 @@
+const ENVIRONMENTS = require('../../config/environments');
+const { listCouncils } = require('../../config/councils');
+const { validateRedirectTemplates } = require('./redirect-template');
+const { TRANSPORTS } = require('./email-transport');
+
+// Settings for the environment named by the ENVIRONMENT variable (test,
+// staging or prod): region, table and bucket names, callback URL, allowed
+// origins, email transport, database secret, bank details KMS key, alert
+// topic, and each council's SSM paths and redirect templates with the
+// registry placeholders filled in. Lambdas call loadConfig() at module scope
+// so a bad or missing setting fails the cold start with every problem listed,
+// instead of failing the first request that happens to need it.
+//
+// The per-setting variables the lambdas have always read (TABLE_NAME,
+// CSV_BUCKET, CALLBACK_URL, ...) still override the environment's values.
+// Until every deployment sets ENVIRONMENT, an unset one means test, whose
+// values are the defaults the lambdas used before, so existing deployments
+// keep running on their per-setting variables.
+
+const ENVIRONMENT_VARIABLE = 'ENVIRONMENT';
+const DEFAULT_ENVIRONMENT = 'test';
+
+// Variables that override a setting, by setting path
+const OVERRIDES = {
+    'tables.submissions': 'TABLE_NAME',
+    'tables.idempotency': 'IDEMPOTENCY_TABLE',
+    'tables.webhookNonces': 'NONCE_TABLE_NAME',
+    'tables.rateLimits': 'RATE_LIMIT_TABLE',
+    'tables.exportState': 'EXPORT_STATE_TABLE',
+    'tables.exportBatches': 'EXPORT_BATCH_TABLE',
+    'tables.loadManifests': 'LOAD_MANIFEST_TABLE',
+    'buckets.customerData': 'CSV_BUCKET',
+    'buckets.export': 'EXPORT_BUCKET',
+    'buckets.documents': 'DOCUMENTS_BUCKET',
+    callbackUrl: 'CALLBACK_URL',
+    databaseSecret: 'DB_SECRET_NAME',
+    bankDetailsKeyId: 'BANK_DETAILS_KMS_KEY_ID',
+    alertTopicArn: 'ALERT_TOPIC_ARN',
+    'email.transport': 'EMAIL_TRANSPORT',
+    'email.smtpHost': 'SMTP_HOST',
+    'email.smtpPort': 'SMTP_PORT',
+    'email.directory': 'EMAIL_FILE_DIRECTORY',
+    'email.configurationSet': 'SES_CONFIGURATION_SET'
+};
+
+// Settings every environment must define
+const REQUIRED_TABLES = ['submissions', 'idempotency', 'webhookNonces', 'rateLimits', 'exportState', 'exportBatches', 'loadManifests'];
+const REQUIRED_BUCKETS = ['customerData', 'export', 'documents'];
+const SECRET_PATH_FIELDS = ['sharedSecretPath', 'webhookSecretPath', 'validationTokenSecretPath'];
+
+const configCache = new Map();
+
+// Function to fill {placeholder}s in a registry value from the environment
+function fillPlaceholders(value, values, problems, where) {
+    return value.replace(/\{(\w+)\}/g, (match, name) => {
+        if (values[name] === undefined) {
+            problems.push(`${where} uses unknown placeholder ${match}`);
+            return match;
+        }
+        return values[name];
+    });
+}
+
+// Function to check a value is an https URL, returning it parsed (or undefined after recording the problem)
+function parseHttpsUrl(value, problems, where) {
+    try {
+        const url = new URL(value);
+        if (url.protocol === 'https:') {
+            return url;
+        }
+    } catch (error) {
+        // Reported below
+    }
+    problems.push(`${where} is not an https URL: '${value}'`);
+    return undefined;
+}
+
+// Function to resolve one council's environment-specific settings
+function resolveCouncil(council, placeholders, environment, problems) {
+    const settings = { id: council.id };
+
+    SECRET_PATH_FIELDS.forEach(field => {
+        const path = fillPlaceholders(council[field], placeholders, problems, `Council '${council.id}' ${field}`);
+        if (!path.startsWith('/')) {
+            problems.push(`Council '${council.id}' ${field} is not an SSM path: '${path}'`);
+        }
+        settings[field] = path;
+    });
+
+    settings.redirectTemplates = {};
+    Object.entries(council.redirectTemplates).forEach(([formType, template]) => {
+        settings.redirectTemplates[formType] = {
+            ...template,
+            baseUrl: fillPlaceholders(template.baseUrl, placeholders, problems, `Council '${council.id}' ${formType} redirect template`)
+        };
+    });
+    try {
+        validateRedirectTemplates(settings);
+    } catch (error) {
+        problems.push(error.message);
+    }
+
+    settings.allowedOrigins = [...council.allowedOrigins, ...environment.additionalAllowedOrigins];
+    settings.allowedOrigins.forEach(origin => {
+        const url = parseHttpsUrl(origin, problems, `Council '${council.id}' allowed origin`);
+        if (url && url.origin !== origin) {
+            problems.push(`Council '${council.id}' allowed origin '${origin}' should be '${url.origin}'`);
+        }
+    });
+
+    return settings;
+}
+
+// Function to build and check the configuration for an environment
+function buildConfig(name, env) {
+    if (!name) {
+        console.warn(`${ENVIRONMENT_VARIABLE} is not set; using '${DEFAULT_ENVIRONMENT}'`);
+        name = DEFAULT_ENVIRONMENT;
+    }
+    if (!Object.prototype.hasOwnProperty.call(ENVIRONMENTS, name)) {
+        throw new Error(`Unknown ${ENVIRONMENT_VARIABLE} '${name}'; expected one of ${Object.keys(ENVIRONMENTS).join(', ')}`);
+    }
+
+    const environment = ENVIRONMENTS[name];
+    const problems = [];
+
+    const config = {
+        environment: name,
+        region: environment.region,
+        callbackUrl: environment.callbackUrl,
+        databaseSecret: environment.databaseSecret,
+        bankDetailsKeyId: environment.bankDetailsKeyId,
+        alertTopicArn: environment.alertTopicArn,
+        tables: { ...environment.tables },
+        buckets: { ...environment.buckets },
+        email: { ...environment.email }
+    };
+
+    Object.entries(OVERRIDES).forEach(([path, variable]) => {
+        if (env[variable]) {
+            const [group, key] = path.split('.');
+            if (key) {
+                config[group][key] = env[variable];
+            } else {
+                config[group] = env[variable];
+            }
+        }
+    });
+
+    if (!config.region) {
+        problems.push('region is not set');
+    }
+    REQUIRED_TABLES.filter(table => !config.tables[table]).forEach(table => problems.push(`tables.${table} is not set`));
+    REQUIRED_BUCKETS.filter(bucket => !config.buckets[bucket]).forEach(bucket => problems.push(`buckets.${bucket} is not set`));
+    parseHttpsUrl(config.callbackUrl, problems, 'callbackUrl');
+    if (!config.databaseSecret) {
+        problems.push('databaseSecret is not set');
+    }
+    if (!config.bankDetailsKeyId) {
+        problems.push('bankDetailsKeyId is not set');
+    }
+    // Optional: without a topic, alerts are only logged
+    if (config.alertTopicArn && !config.alertTopicArn.startsWith('arn:aws:sns:')) {
+        problems.push(`alertTopicArn is not an SNS topic ARN: '${config.alertTopicArn}'`);
+    }
+    parseHttpsUrl(environment.verificationHost, problems, 'verificationHost');
+    if (!TRANSPORTS.includes(config.email.transport)) {
+        problems.push(`email.transport must be one of ${TRANSPORTS.join(', ')}`);
+    } else if (config.email.transport === 'smtp' && !config.email.smtpHost) {
+        problems.push('email.smtpHost is not set for the smtp transport');
+    } else if (config.email.transport === 'file' && !config.email.directory) {
+        problems.push('email.directory is not set for the file transport');
+    }
+
+    const placeholders = { environment: name, verificationHost: environment.verificationHost };
+    config.councils = {};
+    listCouncils().forEach(council => {
+        config.councils[council.id] = resolveCouncil(council, placeholders, environment, problems);
+    });
+
+    if (problems.length > 0) {
+        throw new Error(`Invalid configuration for environment '${name}':\n  ${problems.join('\n  ')}`);
+    }
+
+    const councilSettings = Object.values(config.councils);
+    config.allowedOrigins = Array.from(new Set(councilSettings.flatMap(settings => settings.allowedOrigins)));
+    config.verificationOrigins = Array.from(new Set(councilSettings.flatMap(settings =>
+        Object.values(settings.redirectTemplates).map(template => new URL(template.baseUrl).origin))));
+
+    return config;
+}
+
+// Function to get the configuration for an environment (by default this process's), built and checked once per container
+function loadConfig(name = process.env[ENVIRONMENT_VARIABLE]) {
+    if (!configCache.has(name)) {
+        configCache.set(name, buildConfig(name, process.env));
+    }
+    return configCache.get(name);
+}
+
+module.exports = {
+    ENVIRONMENT_VARIABLE,
+    loadConfig
+};
@@ -0,0 +1,105 @@
+const erpLayout = require('../../config/erp-layout');
+const { defineLayout, formatRecord, parseFile } = require('./fixed-width');
+
+// ERP export files: a header, the detail records and a trailer whose record
+// count and hash totals let the ERP detect truncated or altered files, and
+// whose sequence number lets it detect lost or duplicated ones.
+
+// Validated at cold start so a bad layout change fails before any export runs
+const ERP_LAYOUTS = {
+    header: defineLayout(erpLayout.header),
+    detail: defineLayout(erpLayout.detail),
+    trailer: defineLayout(erpLayout.trailer)
+};
+
+const RECORD_TYPES = {
+    '1': ERP_LAYOUTS.header,
+    '2': ERP_LAYOUTS.detail,
+    '9': ERP_LAYOUTS.trailer
+};
+
+// Hash totals are kept to the 18 digits the trailer field allows
+const HASH_TOTAL_MODULUS = 10n ** 18n;
+
+// Function to sum numeric strings into an 18-digit hash total
+function hashTotal(values) {
+    const total = values.reduce((sum, value) => sum + BigInt(value || 0), 0n);
+    return (total % HASH_TOTAL_MODULUS).toString();
+}
+
+// Function to get the account number from a detail's bank account field (sort code then account number)
+function accountNumberOf(detail) {
+    return (detail.bankAccount || '').slice(-8);
+}
+
+// Function to calculate the trailer control totals for a set of detail values
+function calculateControlTotals(details) {
+    return {
+        recordCount: String(details.length),
+        customerNumberHashTotal: hashTotal(details.map(detail => detail.customerNumber)),
+        accountNumberHashTotal: hashTotal(details.map(accountNumberOf))
+    };
+}
+
+// Function to build a complete ERP file from detail values
+function buildErpFile({ council, runDate, sequenceNumber, details }) {
+    const fileValues = { council, runDate, sequenceNumber: String(sequenceNumber) };
+
+    const lines = [
+        formatRecord(ERP_LAYOUTS.header, fileValues),
+        ...details.map(detail => formatRecord(ERP_LAYOUTS.detail, detail)),
+        formatRecord(ERP_LAYOUTS.trailer, { ...fileValues, ...calculateControlTotals(details) })
+    ];
+
+    return lines.join('\n');
+}
+
+// Function to parse an ERP file and check its header, trailer and control totals
+function parseErpFile(content) {
+    const records = parseFile(line => {
+        const layout = RECORD_TYPES[line.slice(0, 2).trim()];
+        if (!layout) {
+            throw new Error(`Unknown record type '${line.slice(0, 2).trim()}'`);
+        }
+        return layout;
+    }, content);
+
+    const header = records[0];
+    const trailer = records[records.length - 1];
+    const details = records.slice(1, -1);
+
+    if (!header || header.recordType !== '1') {
+        throw new Error('ERP file does not start with a header record');
+    }
+    if (records.length < 2 || trailer.recordType !== '9') {
+        throw new Error('ERP file does not end with a trailer record');
+    }
+    if (details.some(detail => detail.recordType !== '2')) {
+        throw new Error('ERP file has header or trailer records between its detail records');
+    }
+    if (header.council !== trailer.council || header.runDate !== trailer.runDate || header.sequenceNumber !== trailer.sequenceNumber) {
+        throw new Error('ERP header and trailer do not match');
+    }
+
+    const expected = calculateControlTotals(details);
+    ['recordCount', 'customerNumberHashTotal', 'accountNumberHashTotal'].forEach(total => {
+        // Zero-padded numbers parse back without their padding, so compare numerically
+        if (BigInt(trailer[total] || 0) !== BigInt(expected[total])) {
+            throw new Error(`ERP trailer ${total} is ${trailer[total] || 0}, file contains ${expected[total]}`);
+        }
+    });
+
+    return {
+        council: header.council,
+        runDate: header.runDate,
+        sequenceNumber: Number(header.sequenceNumber || 0),
+        details
+    };
+}
+
+module.exports = {
+    ERP_LAYOUTS,
+    calculateControlTotals,
+    buildErpFile,
+    parseErpFile
+};
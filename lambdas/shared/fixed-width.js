@@ -0,0 +1,176 @@
+// Fixed-width record engine. A layout is plain data - a list of fields with a
+// 1-based start position, length, alignment, pad character and either a
+// constant value or the name of the value to read - and the same layout is
+// used both to write records and to parse them back.
+//
+// Anything that doesn't fit the layout throws: values are never truncated
+// and parsed lines must match the layout exactly.
+
+const ALIGNMENTS = ['left', 'right'];
+
+// Function to validate a layout definition and return a frozen copy
+function defineLayout(definition) {
+    const { name, recordLength, fields } = definition;
+
+    if (!name) {
+        throw new Error('Layout definition is missing a name');
+    }
+    if (!Number.isInteger(recordLength) || recordLength <= 0) {
+        throw new Error(`Layout ${name}: recordLength must be a positive integer`);
+    }
+    if (!Array.isArray(fields) || fields.length === 0) {
+        throw new Error(`Layout ${name}: at least one field is required`);
+    }
+
+    const names = new Set();
+    let expectedStart = 1;
+
+    const normalizedFields = fields.map(field => {
+        const normalized = {
+            name: field.name,
+            start: field.start,
+            length: field.length,
+            align: field.align || 'left',
+            pad: field.pad === undefined ? ' ' : field.pad,
+            value: field.value,
+            source: field.source,
+            filler: field.value === undefined && field.source === undefined
+        };
+
+        if (!normalized.name) {
+            throw new Error(`Layout ${name}: field at position ${field.start} has no name`);
+        }
+        if (names.has(normalized.name)) {
+            throw new Error(`Layout ${name}: duplicate field name '${normalized.name}'`);
+        }
+        names.add(normalized.name);
+
+        if (!Number.isInteger(normalized.length) || normalized.length <= 0) {
+            throw new Error(`Layout ${name}: field '${normalized.name}' has invalid length ${normalized.length}`);
+        }
+        // Fields must be contiguous so every position in the record is accounted for
+        if (normalized.start !== expectedStart) {
+            throw new Error(`Layout ${name}: field '${normalized.name}' starts at ${normalized.start}, expected ${expectedStart}`);
+        }
+        if (!ALIGNMENTS.includes(normalized.align)) {
+            throw new Error(`Layout ${name}: field '${normalized.name}' has invalid alignment '${normalized.align}'`);
+        }
+        if (typeof normalized.pad !== 'string' || normalized.pad.length !== 1) {
+            throw new Error(`Layout ${name}: field '${normalized.name}' pad must be a single character`);
+        }
+        if (normalized.value !== undefined && normalized.source !== undefined) {
+            throw new Error(`Layout ${name}: field '${normalized.name}' cannot have both a value and a source`);
+        }
+        if (normalized.value !== undefined && String(normalized.value).length > normalized.length) {
+            throw new Error(`Layout ${name}: constant for field '${normalized.name}' is longer than ${normalized.length}`);
+        }
+
+        expectedStart += normalized.length;
+        return Object.freeze(normalized);
+    });
+
+    if (expectedStart - 1 !== recordLength) {
+        throw new Error(`Layout ${name}: fields cover ${expectedStart - 1} characters, expected ${recordLength}`);
+    }
+
+    return Object.freeze({ name, recordLength, fields: Object.freeze(normalizedFields) });
+}
+
+// Function to pad a value into its field, failing if it does not fit
+function padField(layout, field, value) {
+    const text = value === undefined || value === null ? '' : String(value);
+
+    if (text.length > field.length) {
+        throw new Error(`Layout ${layout.name}: value for '${field.name}' is ${text.length} characters, maximum ${field.length}`);
+    }
+    if (/[\r\n]/.test(text)) {
+        throw new Error(`Layout ${layout.name}: value for '${field.name}' contains a line break`);
+    }
+
+    return field.align === 'right' ? text.padStart(field.length, field.pad) : text.padEnd(field.length, field.pad);
+}
+
+// Function to write one record from a values object
+function formatRecord(layout, values) {
+    const record = layout.fields.map(field => {
+        if (field.filler) {
+            return field.pad.repeat(field.length);
+        }
+        const value = field.value !== undefined ? field.value : values[field.source];
+        return padField(layout, field, value);
+    }).join('');
+
+    if (record.length !== layout.recordLength) {
+        throw new Error(`Layout ${layout.name}: built record is ${record.length} characters, expected ${layout.recordLength}`);
+    }
+
+    return record;
+}
+
+// Function to strip a field's padding according to its alignment: only its own pad
+// character, and only on the side formatRecord padded, so other whitespace is kept
+function unpadField(field, text) {
+    let start = 0;
+    let end = text.length;
+
+    if (field.align === 'right') {
+        while (start < end && text[start] === field.pad) start++;
+    } else {
+        while (end > start && text[end - 1] === field.pad) end--;
+    }
+
+    return text.slice(start, end);
+}
+
+// Function to parse one record back into an object keyed by field source (or name)
+function parseRecord(layout, line) {
+    if (line.length !== layout.recordLength) {
+        throw new Error(`Layout ${layout.name}: record is ${line.length} characters, expected ${layout.recordLength}`);
+    }
+
+    const parsed = {};
+    layout.fields.forEach(field => {
+        const text = line.slice(field.start - 1, field.start - 1 + field.length);
+
+        if (field.filler) {
+            if (text !== field.pad.repeat(field.length)) {
+                throw new Error(`Layout ${layout.name}: filler '${field.name}' at position ${field.start} is not blank`);
+            }
+            return;
+        }
+
+        const value = unpadField(field, text);
+        if (field.value !== undefined && value !== String(field.value)) {
+            throw new Error(`Layout ${layout.name}: field '${field.name}' is '${value}', expected '${field.value}'`);
+        }
+
+        parsed[field.source || field.name] = value;
+    });
+
+    return parsed;
+}
+
+// Function to parse a whole file of records, reporting the failing line number.
+// Pass a function instead of a layout to choose the layout for each line.
+function parseFile(layoutOrSelector, content) {
+    // Numbered before blank lines are dropped, so errors point at the line in the file
+    const lines = content.split(/\r?\n/)
+        .map((line, index) => ({ line, number: index + 1 }))
+        .filter(({ line }) => line.length > 0);
+    const selectLayout = typeof layoutOrSelector === 'function' ? layoutOrSelector : () => layoutOrSelector;
+
+    return lines.map(({ line, number }, index) => {
+        try {
+            return parseRecord(selectLayout(line, index), line);
+        } catch (error) {
+            throw new Error(`Line ${number}: ${error.message}`);
+        }
+    });
+}
+
+module.exports = {
+    defineLayout,
+    formatRecord,
+    parseRecord,
+    parseFile
+};
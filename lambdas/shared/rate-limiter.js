@@ -0,0 +1,274 @@
+const { DynamoDBClient, BatchGetItemCommand, UpdateItemCommand } = require('@aws-sdk/client-dynamodb');
+const { SNSClient, PublishCommand } = require('@aws-sdk/client-sns');
+const { loadConfig } = require('./environment-config');
+
+// Throttling for the customer validation endpoint, so customer numbers and
+// postcodes can't be enumerated. Requests and misses ("No match") are counted
+// per IP address and per IP address and customer number in fixed windows; too
+// many misses locks the subject out, for longer each time it happens again.
+// A customer number is never locked out on its own, or anyone could lock the
+// real customer out by guessing postcodes for it: misses on it from every
+// caller are only counted, and raise an alert when they look like an attack.
+//
+// Counters and lockouts live in one DynamoDB table keyed by limitKey:
+//   ip#<address>#<window>                      requests / misses in a window
+//   customer-ip#<number>#<address>#<window>
+//   customer#<number>#<window>                 misses only
+//   ip#<address>#lockout                       lockoutLevel / lockedUntil
+//   customer-ip#<number>#<address>#lockout
+// Every item carries an expiresAt TTL so the table cleans itself up, but TTL
+// deletion can lag by days, so expiry is always checked here as well.
+
+const config = loadConfig();
+const dynamoClient = new DynamoDBClient({ region: config.region });
+const snsClient = new SNSClient({ region: config.region });
+
+const RATE_LIMIT_TABLE = config.tables.rateLimits;
+const ALERT_TOPIC_ARN = config.alertTopicArn;
+
+// Defaults for every council; a council's rateLimits entry overrides them
+const DEFAULT_LIMITS = {
+    windowSeconds: 300,
+    maxRequestsPerIp: 30,
+    // Per customer number from one IP
+    maxRequestsPerCustomerNumber: 10,
+    maxMissesPerIp: 10,
+    maxMissesPerCustomerNumber: 5,
+    // Length of the first, second, third (and later) lockouts
+    lockoutSeconds: [300, 3600, 86400],
+    // Lockout levels are forgotten this long after the last lockout ends
+    lockoutMemorySeconds: 86400,
+    // Requests from one IP in a window that raise a burst alert
+    alertRequestsPerIp: 100,
+    // Misses on one customer number from all IPs in a window that raise an alert
+    alertMissesPerCustomerNumber: 20
+};
+
+const SUBJECT_TYPES = {
+    IP: 'ip',
+    CUSTOMER_NUMBER_FROM_IP: 'customer-ip',
+    // Monitored only: never throttled or locked out
+    CUSTOMER_NUMBER: 'customer'
+};
+
+// Function to get the limits that apply to a council (defaults if it isn't known yet)
+function getLimits(council) {
+    return { ...DEFAULT_LIMITS, ...((council && council.rateLimits) || {}) };
+}
+
+// Function to build the list of subjects a request is limited on. Every enforced subject
+// includes the IP, so a request without one can't be limited and is refused.
+function buildSubjects(sourceIp, customerNumber) {
+    if (!sourceIp) {
+        throw new Error('Cannot rate limit a request with no source IP');
+    }
+    const subjects = [{ type: SUBJECT_TYPES.IP, value: sourceIp }];
+    if (customerNumber) {
+        subjects.push({ type: SUBJECT_TYPES.CUSTOMER_NUMBER_FROM_IP, value: `${customerNumber}#${sourceIp}` });
+        subjects.push({ type: SUBJECT_TYPES.CUSTOMER_NUMBER, value: customerNumber });
+    }
+    return subjects;
+}
+
+// Function to check whether a subject can be throttled and locked out
+function isEnforced(subject) {
+    return subject.type !== SUBJECT_TYPES.CUSTOMER_NUMBER;
+}
+
+// Function to get the current window's index and end time
+function currentWindow(limits, now) {
+    const windowMs = limits.windowSeconds * 1000;
+    const index = Math.floor(now / windowMs);
+    return { index, endsAt: (index + 1) * windowMs };
+}
+
+// Function to send an alert, never failing the request if SNS is unavailable
+async function sendAlert(subject, details) {
+    console.warn(`Rate limit alert: ${subject}`, details);
+    if (!ALERT_TOPIC_ARN) {
+        return;
+    }
+
+    try {
+        await snsClient.send(new PublishCommand({
+            TopicArn: ALERT_TOPIC_ARN,
+            Subject: `Customer validation: ${subject}`.slice(0, 100),
+            Message: JSON.stringify(details, null, 2)
+        }));
+    } catch (error) {
+        console.error('Error sending rate limit alert:', error);
+    }
+}
+
+// Function to check whether any subject is locked out, returning the longest remaining lockout
+async function checkLockouts(subjects) {
+    const enforced = subjects.filter(isEnforced);
+    if (enforced.length === 0) {
+        return { locked: false };
+    }
+
+    const result = await dynamoClient.send(new BatchGetItemCommand({
+        RequestItems: {
+            [RATE_LIMIT_TABLE]: {
+                Keys: enforced.map(subject => ({ limitKey: { S: `${subject.type}#${subject.value}#lockout` } })),
+                ProjectionExpression: 'limitKey, lockedUntil',
+                ConsistentRead: true
+            }
+        }
+    }));
+
+    // Anything unprocessed can't be checked, so the request is refused rather than let through
+    if (Object.keys(result.UnprocessedKeys || {}).length > 0) {
+        throw new Error('Lockouts could not all be read');
+    }
+
+    const now = Date.now();
+    const lockedUntil = Math.max(0, ...(result.Responses?.[RATE_LIMIT_TABLE] || [])
+        .map(item => Number(item.lockedUntil?.N || 0)));
+
+    if (lockedUntil > now) {
+        return { locked: true, retryAfterSeconds: Math.ceil((lockedUntil - now) / 1000) };
+    }
+    return { locked: false };
+}
+
+// Function to add to a subject's counter for the current window, returning the new count
+async function incrementCounter(subject, counter, limits) {
+    const now = Date.now();
+    const window = currentWindow(limits, now);
+
+    const result = await dynamoClient.send(new UpdateItemCommand({
+        TableName: RATE_LIMIT_TABLE,
+        Key: { limitKey: { S: `${subject.type}#${subject.value}#${window.index}` } },
+        UpdateExpression: 'ADD #counter :one SET expiresAt = :expiresAt',
+        ExpressionAttributeNames: { '#counter': counter },
+        ExpressionAttributeValues: {
+            ':one': { N: '1' },
+            ':expiresAt': { N: String(Math.ceil(window.endsAt / 1000) + limits.windowSeconds) }
+        },
+        ReturnValues: 'UPDATED_NEW'
+    }));
+
+    return Number(result.Attributes[counter].N);
+}
+
+// Function to raise a subject's lockout level, starting again from 1 once the last lockout
+// ended more than the memory period ago (whether or not TTL has deleted it yet)
+async function raiseLockoutLevel(key, limits) {
+    try {
+        const result = await dynamoClient.send(new UpdateItemCommand({
+            TableName: RATE_LIMIT_TABLE,
+            Key: key,
+            UpdateExpression: 'ADD lockoutLevel :one',
+            ConditionExpression: 'lockedUntil >= :rememberedSince',
+            ExpressionAttributeValues: {
+                ':one': { N: '1' },
+                ':rememberedSince': { N: String(Date.now() - limits.lockoutMemorySeconds * 1000) }
+            },
+            ReturnValues: 'UPDATED_NEW'
+        }));
+        return Number(result.Attributes.lockoutLevel.N);
+    } catch (error) {
+        if (error.name !== 'ConditionalCheckFailedException') {
+            throw error;
+        }
+    }
+
+    await dynamoClient.send(new UpdateItemCommand({
+        TableName: RATE_LIMIT_TABLE,
+        Key: key,
+        UpdateExpression: 'SET lockoutLevel = :one',
+        ExpressionAttributeValues: { ':one': { N: '1' } }
+    }));
+    return 1;
+}
+
+// Function to lock a subject out, each lockout within the memory period lasting longer than the last
+async function lockOut(subject, limits, reason) {
+    const key = { limitKey: { S: `${subject.type}#${subject.value}#lockout` } };
+
+    const level = await raiseLockoutLevel(key, limits);
+    const durations = limits.lockoutSeconds;
+    const lockoutSeconds = durations[Math.min(level, durations.length) - 1];
+    const lockedUntil = Date.now() + lockoutSeconds * 1000;
+
+    await dynamoClient.send(new UpdateItemCommand({
+        TableName: RATE_LIMIT_TABLE,
+        Key: key,
+        UpdateExpression: 'SET lockedUntil = :lockedUntil, expiresAt = :expiresAt',
+        ExpressionAttributeValues: {
+            ':lockedUntil': { N: String(lockedUntil) },
+            ':expiresAt': { N: String(Math.ceil(lockedUntil / 1000) + limits.lockoutMemorySeconds) }
+        }
+    }));
+
+    await sendAlert(`${subject.type} locked out`, {
+        subjectType: subject.type,
+        subject: subject.value,
+        reason: reason,
+        lockoutLevel: level,
+        lockoutSeconds: lockoutSeconds
+    });
+
+    return lockoutSeconds;
+}
+
+// Function to count a request against each subject, returning whether it should be throttled
+async function recordRequest(subjects, limits) {
+    let throttled = false;
+
+    for (const subject of subjects.filter(isEnforced)) {
+        const requests = await incrementCounter(subject, 'requests', limits);
+        const maximum = subject.type === SUBJECT_TYPES.IP ? limits.maxRequestsPerIp : limits.maxRequestsPerCustomerNumber;
+
+        if (requests > maximum) {
+            throttled = true;
+        }
+        // Alert once, as the window's count crosses the threshold
+        if (subject.type === SUBJECT_TYPES.IP && requests === limits.alertRequestsPerIp + 1) {
+            await sendAlert('request burst', {
+                sourceIp: subject.value,
+                requests: requests,
+                windowSeconds: limits.windowSeconds
+            });
+        }
+    }
+
+    return { throttled, retryAfterSeconds: limits.windowSeconds };
+}
+
+// Function to count a miss against each subject, locking out any that has missed too often
+async function recordMiss(subjects, limits) {
+    let lockoutSeconds = 0;
+
+    for (const subject of subjects) {
+        const misses = await incrementCounter(subject, 'misses', limits);
+
+        if (!isEnforced(subject)) {
+            // Alert once, as the window's count crosses the threshold
+            if (misses === limits.alertMissesPerCustomerNumber + 1) {
+                await sendAlert('customer number misses', {
+                    customerNumber: subject.value,
+                    misses: misses,
+                    windowSeconds: limits.windowSeconds
+                });
+            }
+            continue;
+        }
+        const maximum = subject.type === SUBJECT_TYPES.IP ? limits.maxMissesPerIp : limits.maxMissesPerCustomerNumber;
+
+        if (misses > maximum) {
+            lockoutSeconds = Math.max(lockoutSeconds, await lockOut(subject, limits, `${misses} misses in ${limits.windowSeconds} seconds`));
+        }
+    }
+
+    return { lockedOut: lockoutSeconds > 0, retryAfterSeconds: lockoutSeconds };
+}
+
+module.exports = {
+    getLimits,
+    buildSubjects,
+    checkLockouts,
+    recordRequest,
+    recordMiss
+};
@@ -0,0 +1,131 @@
+// Redirect templates for the third-party verification form. Each council's
+// redirectTemplates entry in the registry defines, per form type:
+//   baseUrl         verification form the customer is sent to
+//   fields          values to pass, in order (from FIELDS below)
+//   flags           fixed parameters, e.g. { showdob: 'visible' }
+//   parameterNames  optional overrides of DEFAULT_PARAMETER_NAMES
+// The query string built from a template is what gets encrypted into eData.
+
+// Values a template can pass, and where each comes from
+const FIELDS = {
+    customer_number: values => values.customerNumber,
+    postcode: values => values.postcode,
+    email: values => values.email,
+    submission_id: values => values.submissionId,
+    callback_url: values => values.callbackUrl,
+    dd_plan_reference: values => values.customerNumber,
+    customer_name: values => values.profile?.customer_name,
+    address_line1: values => values.profile?.address_line1,
+    address_line2: values => values.profile?.address_line2,
+    address_line3: values => values.profile?.address_line3
+};
+
+// The webhook matches the callback to the submission through these
+const REQUIRED_TEMPLATE_FIELDS = ['submission_id', 'callback_url'];
+
+// Values are passed unencoded, as the verification form has always received them,
+// so a value containing these would split the query string
+const QUERY_SEPARATORS = /[&=]/;
+
+// Verification form parameter name(s) for each field
+const DEFAULT_PARAMETER_NAMES = {
+    customer_number: ['customer_number'],
+    postcode: ['postcode', 'CurrentPostcode'],
+    email: ['Email', 'EmailRetype'],
+    submission_id: ['CustomData'],
+    callback_url: ['CallbackURL'],
+    dd_plan_reference: ['DdPlanReference'],
+    customer_name: ['FullName'],
+    address_line1: ['CurrentAddressLine1'],
+    address_line2: ['CurrentAddressLine2'],
+    address_line3: ['CurrentAddressLine3']
+};
+
+// Function to get the parameter names a template uses for a field
+function parameterNamesFor(template, field) {
+    const names = template.parameterNames?.[field] ?? DEFAULT_PARAMETER_NAMES[field];
+    return Array.isArray(names) ? names : [names];
+}
+
+// Function to check every redirect template of a council, throwing on the first problem
+function validateRedirectTemplates(council) {
+    const templates = council.redirectTemplates;
+    if (!templates || Object.keys(templates).length === 0) {
+        throw new Error(`Council '${council.id}' has no redirect templates`);
+    }
+
+    Object.entries(templates).forEach(([formType, template]) => {
+        const name = `Council '${council.id}' ${formType} redirect template`;
+
+        let url;
+        try {
+            url = new URL(template.baseUrl);
+        } catch (error) {
+            throw new Error(`${name} has an invalid baseUrl '${template.baseUrl}'`);
+        }
+        if (url.protocol !== 'https:' || url.search) {
+            throw new Error(`${name} baseUrl must be https with no query string`);
+        }
+
+        if (!Array.isArray(template.fields)) {
+            throw new Error(`${name} has no fields list`);
+        }
+        const unknown = template.fields.filter(field => !FIELDS[field]);
+        if (unknown.length > 0) {
+            throw new Error(`${name} has unknown fields: ${unknown.join(', ')}`);
+        }
+        const missing = REQUIRED_TEMPLATE_FIELDS.filter(field => !template.fields.includes(field));
+        if (missing.length > 0) {
+            throw new Error(`${name} is missing required fields: ${missing.join(', ')}`);
+        }
+
+        Object.keys(template.parameterNames || {}).forEach(field => {
+            if (!FIELDS[field]) {
+                throw new Error(`${name} renames unknown field '${field}'`);
+            }
+            if (parameterNamesFor(template, field).some(parameter => typeof parameter !== 'string' || !parameter)) {
+                throw new Error(`${name} has an invalid parameter name for '${field}'`);
+            }
+        });
+
+        Object.entries(template.flags || {}).forEach(([flag, value]) => {
+            if (typeof value !== 'string' || QUERY_SEPARATORS.test(value)) {
+                throw new Error(`${name} flag '${flag}' must be a string without '&' or '='`);
+            }
+        });
+    });
+}
+
+// Function to get a council's template for a form type (undefined if it has none)
+function getRedirectTemplate(council, formType) {
+    const templates = council.redirectTemplates;
+    return Object.prototype.hasOwnProperty.call(templates, formType) ? templates[formType] : undefined;
+}
+
+// Function to build the query string for a template; fields without a value, or with one
+// that can't be passed unencoded, are left out
+function buildRedirectQuery(template, values) {
+    const parameters = [];
+
+    template.fields.forEach(field => {
+        const value = FIELDS[field](values);
+        if (value === undefined || value === null || value === '') {
+            return;
+        }
+        if (QUERY_SEPARATORS.test(String(value))) {
+            console.warn(`Leaving ${field} out of the redirect: its value contains '&' or '='`);
+            return;
+        }
+        parameterNamesFor(template, field).forEach(parameter => parameters.push([parameter, value]));
+    });
+
+    Object.entries(template.flags || {}).forEach(([flag, value]) => parameters.push([flag, value]));
+
+    return parameters.map(([name, value]) => `${name}=${value}`).join('&');
+}
+
+module.exports = {
+    validateRedirectTemplates,
+    getRedirectTemplate,
+    buildRedirectQuery
+};
@@ -0,0 +1,111 @@
+const standard18Layout = require('../../config/bacs-standard18-layout');
+const { defineLayout, formatRecord } = require('./fixed-width');
+
+// Builds Bacs Standard 18 AUDDIS files (0N new instructions) for submission
+// through the bureau software. A file is one volume holding one user file:
+//
+//   VOL1, HDR1, HDR2, UHL1, 0N records..., EOF1, EOF2, UTL1
+
+const LAYOUTS = {
+    vol1: defineLayout(standard18Layout.vol1),
+    fileHeader1: defineLayout(standard18Layout.fileHeader1),
+    fileHeader2: defineLayout(standard18Layout.fileHeader2),
+    userHeader: defineLayout(standard18Layout.userHeader),
+    auddisInstruction: defineLayout(standard18Layout.auddisInstruction),
+    userTrailer: defineLayout(standard18Layout.userTrailer)
+};
+
+// Function to format a date as a Bacs date: a space, two-digit year and day of year
+function toBacsDate(date) {
+    const startOfYear = Date.UTC(date.getUTCFullYear(), 0, 1);
+    const dayOfYear = Math.floor((Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()) - startOfYear) / 86400000) + 1;
+    const year = String(date.getUTCFullYear()).slice(-2);
+    return ` ${year}${String(dayOfYear).padStart(3, '0')}`;
+}
+
+// Function to get the next weekday after a date (bank holidays are not considered)
+function nextWorkingDay(date) {
+    const next = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1));
+    while (next.getUTCDay() === 0 || next.getUTCDay() === 6) {
+        next.setUTCDate(next.getUTCDate() + 1);
+    }
+    return next;
+}
+
+// Function to restrict text to the Bacs character set and field length
+function toBacsText(value, length) {
+    return String(value || '')
+        .toUpperCase()
+        .replace(/[^A-Z0-9.&/\- ]/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .slice(0, length);
+}
+
+// Function to check a council's Bacs settings before building a file
+function validateBacsSettings(bacs) {
+    if (!/^\d{6}$/.test(bacs.serviceUserNumber || '')) {
+        throw new Error('Bacs service user number must be 6 digits');
+    }
+    if (!/^\d{6}$/.test(bacs.originatingSortCode || '')) {
+        throw new Error('Bacs originating sort code must be 6 digits');
+    }
+    if (!/^\d{8}$/.test(bacs.originatingAccountNumber || '')) {
+        throw new Error('Bacs originating account number must be 8 digits');
+    }
+    if (!bacs.serviceUserName) {
+        throw new Error('Bacs service user name is missing');
+    }
+}
+
+// Function to build the content of an AUDDIS file for a list of new instructions
+function buildAuddisFile({ bacs, instructions, runDate, volumeSerialNumber, fileNumber = 1 }) {
+    validateBacsSettings(bacs);
+
+    if (instructions.length === 0) {
+        throw new Error('An AUDDIS file needs at least one instruction');
+    }
+
+    const creationDate = toBacsDate(runDate);
+    const processingDate = toBacsDate(nextWorkingDay(runDate));
+    const labelValues = {
+        serviceUserNumber: bacs.serviceUserNumber,
+        volumeSerialNumber: String(volumeSerialNumber),
+        creationDate: creationDate,
+        expirationDate: creationDate
+    };
+
+    const lines = [
+        formatRecord(LAYOUTS.vol1, labelValues),
+        formatRecord(LAYOUTS.fileHeader1, { ...labelValues, labelId: 'HDR1' }),
+        formatRecord(LAYOUTS.fileHeader2, { labelId: 'HDR2' }),
+        formatRecord(LAYOUTS.userHeader, { processingDate, fileNumber: String(fileNumber) })
+    ];
+
+    instructions.forEach(instruction => {
+        lines.push(formatRecord(LAYOUTS.auddisInstruction, {
+            sortCode: instruction.sortCode,
+            accountNumber: instruction.accountNumber,
+            accountName: toBacsText(instruction.accountName, 18),
+            reference: toBacsText(instruction.reference, 18),
+            originatingSortCode: bacs.originatingSortCode,
+            originatingAccountNumber: bacs.originatingAccountNumber,
+            serviceUserName: toBacsText(bacs.serviceUserName, 18)
+        }));
+    });
+
+    lines.push(
+        formatRecord(LAYOUTS.fileHeader1, { ...labelValues, labelId: 'EOF1' }),
+        formatRecord(LAYOUTS.fileHeader2, { labelId: 'EOF2' }),
+        formatRecord(LAYOUTS.userTrailer, { instructionCount: String(instructions.length) })
+    );
+
+    return lines.join('\n');
+}
+
+module.exports = {
+    LAYOUTS,
+    toBacsDate,
+    nextWorkingDay,
+    buildAuddisFile
+};
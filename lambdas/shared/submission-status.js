@@ -0,0 +1,54 @@
+// Submission lifecycle shared by every lambda that changes a submission's status.
+//
+//   pending  -> approved | failed | cancelled | expired
+//   approved -> exported
+//
+// failed, cancelled, expired and exported are terminal. The one exception is
+// an operator rolling back an export batch, which moves the batch's records
+// (ROLLBACK_FROM_STATUSES) back to approved and is never available to callbacks. Writers must apply a
+// transition with a DynamoDB condition on the status they read, so a late or
+// concurrent update can never move a record backwards.
+
+const SUBMISSION_STATUS = {
+    PENDING: 'pending',
+    APPROVED: 'approved',
+    FAILED: 'failed',
+    CANCELLED: 'cancelled',
+    EXPIRED: 'expired',
+    EXPORTED: 'exported'
+};
+
+const TRANSITIONS = {
+    [SUBMISSION_STATUS.PENDING]: [
+        SUBMISSION_STATUS.APPROVED,
+        SUBMISSION_STATUS.FAILED,
+        SUBMISSION_STATUS.CANCELLED,
+        SUBMISSION_STATUS.EXPIRED
+    ],
+    [SUBMISSION_STATUS.APPROVED]: [SUBMISSION_STATUS.EXPORTED],
+    [SUBMISSION_STATUS.FAILED]: [],
+    [SUBMISSION_STATUS.CANCELLED]: [],
+    [SUBMISSION_STATUS.EXPIRED]: [],
+    [SUBMISSION_STATUS.EXPORTED]: []
+};
+
+// Statuses a record in a rolled-back export batch may be in (claimed but not yet marked, or exported)
+const ROLLBACK_FROM_STATUSES = [SUBMISSION_STATUS.APPROVED, SUBMISSION_STATUS.EXPORTED];
+
+// Function to check whether a status change is allowed
+function canTransition(fromStatus, toStatus) {
+    return (TRANSITIONS[fromStatus] || []).includes(toStatus);
+}
+
+// Function to check whether a status has no further transitions
+function isTerminalStatus(status) {
+    return (TRANSITIONS[status] || []).length === 0;
+}
+
+module.exports = {
+    SUBMISSION_STATUS,
+    TRANSITIONS,
+    ROLLBACK_FROM_STATUSES,
+    canTransition,
+    isTerminalStatus
+};
@@ -0,0 +1,72 @@
+const crypto = require('crypto');
+
+// Short-lived token the customer validator issues on a successful match, and
+// the form processor requires before it creates a submission. It proves the
+// customer number and postcode were matched against the customer list, not
+// just format-checked.
+//
+// Format: base64url(JSON claims) + '.' + base64url(HMAC-SHA256 of the first part).
+// Claims: customer number, postcode (upper case, no spaces), council, issue
+// and expiry times in epoch seconds.
+
+const DEFAULT_TTL_SECONDS = 900;
+
+// Function to normalise a postcode so spacing and case don't affect the binding
+function normalisePostcode(postcode) {
+    return String(postcode || '').replace(/\s/g, '').toUpperCase();
+}
+
+// Function to sign the encoded claims
+function sign(secret, encodedClaims) {
+    return crypto.createHmac('sha256', secret).update(encodedClaims).digest('base64url');
+}
+
+// Function to issue a token bound to a customer number, postcode and council
+function issueValidationToken(secret, { customerNumber, postcode, council }, ttlSeconds = DEFAULT_TTL_SECONDS) {
+    const issuedAt = Math.floor(Date.now() / 1000);
+    const claims = {
+        cn: customerNumber,
+        pc: normalisePostcode(postcode),
+        cl: council,
+        iat: issuedAt,
+        exp: issuedAt + ttlSeconds
+    };
+
+    const encodedClaims = Buffer.from(JSON.stringify(claims)).toString('base64url');
+    return `${encodedClaims}.${sign(secret, encodedClaims)}`;
+}
+
+// Function to verify a token and check it was issued for these details, throwing if not
+function verifyValidationToken(secret, token, { customerNumber, postcode, council }) {
+    const [encodedClaims, signature, ...rest] = String(token || '').split('.');
+    if (!encodedClaims || !signature || rest.length > 0) {
+        throw new Error('Validation token is malformed');
+    }
+
+    const expected = Buffer.from(sign(secret, encodedClaims));
+    const provided = Buffer.from(signature);
+    if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+        throw new Error('Validation token signature is invalid');
+    }
+
+    let claims;
+    try {
+        claims = JSON.parse(Buffer.from(encodedClaims, 'base64url').toString('utf8'));
+    } catch (error) {
+        throw new Error('Validation token is malformed');
+    }
+
+    if (!Number.isInteger(claims.exp) || claims.exp < Math.floor(Date.now() / 1000)) {
+        throw new Error('Validation token has expired');
+    }
+    if (claims.cn !== customerNumber || claims.pc !== normalisePostcode(postcode) || claims.cl !== council) {
+        throw new Error('Validation token was issued for different customer details');
+    }
+
+    return claims;
+}
+
+module.exports = {
+    issueValidationToken,
+    verifyValidationToken
+};
@@ -1,16 +1,55 @@
-const { DynamoDBClient, UpdateItemCommand, GetItemCommand } = require('@aws-sdk/client-dynamodb');
+const crypto = require('crypto');
+const { DynamoDBClient, UpdateItemCommand, GetItemCommand, PutItemCommand, DeleteItemCommand, ScanCommand } = require('@aws-sdk/client-dynamodb');
+const { SSMClient, GetParameterCommand } = require('@aws-sdk/client-ssm');
+const { KMSClient } = require('@aws-sdk/client-kms');
+const { getCouncil } = require('../config/councils');
+const { SUBMISSION_STATUS, canTransition } = require('./shared/submission-status');
+const { extractBankDetails, redactBankDetails, encryptBankDetails, decryptBankDetails } = require('./shared/bank-details');
+const { loadConfig } = require('./shared/environment-config');
+const { createTransport } = require('./shared/email-transport');
+const { buildConfirmationEmail } = require('./shared/confirmation-email');
+const { approvalCollectionDate } = require('./shared/collection-schedule');
 
-// Initialize DynamoDB client
-const dynamoClient = new DynamoDBClient({ region: 'eu-west-2' });
+// Environment settings, checked at cold start
+const config = loadConfig();
+
+// Initialize AWS clients
+const dynamoClient = new DynamoDBClient({ region: config.region });
+const ssmClient = new SSMClient({ region: config.region });
+const kmsClient = new KMSClient({ region: config.region });
+const emailTransport = createTransport(config.email, config.region);
 
 // Configuration from environment variables
-const TABLE_NAME = process.env.TABLE_NAME || 'DirectDebitSubmissions';
+const TABLE_NAME = config.tables.submissions;
+const NONCE_TABLE_NAME = config.tables.webhookNonces;
+const SIGNATURE_TOLERANCE_SECONDS = parseInt(process.env.SIGNATURE_TOLERANCE_SECONDS) || 300;
+const BANK_DETAILS_KMS_KEY_ID = config.bankDetailsKeyId;
+// Sends of a confirmation email (first attempt included) before the retry run gives up on it
+const MAX_EMAIL_ATTEMPTS = parseInt(process.env.MAX_EMAIL_ATTEMPTS) || 5;
+
+// Delivery statuses recorded on the submission's confirmationEmail attribute
+const EMAIL_STATUS = {
+    SENT: 'sent',
+    FAILED: 'failed',
+    // The submission's status no longer matches the email's outcome, so it is not retried
+    CANCELLED: 'cancelled'
+};
+
+// Submission statuses a confirmation email's outcome still describes
+const EMAIL_OUTCOME_STATUSES = {
+    [SUBMISSION_STATUS.APPROVED]: [SUBMISSION_STATUS.APPROVED, SUBMISSION_STATUS.EXPORTED],
+    [SUBMISSION_STATUS.FAILED]: [SUBMISSION_STATUS.FAILED]
+};
+
+// Signing secrets are cached per council. A signature that fails against a cached
+// secret re-reads it once, so a rotated secret is picked up without a cold start;
+// re-reads are at least this far apart so forged callbacks can't flood SSM.
+const signingSecretCache = new Map();
+const SIGNING_SECRET_REFRESH_MS = (parseInt(process.env.SIGNING_SECRET_REFRESH_SECONDS) || 60) * 1000;
 
 // CORS validation for webhook
 function getCorsHeaders(origin) {
-    const allowedOrigins = [
-        'https://verification.thirdparty.com'
-    ];
+    const allowedOrigins = config.verificationOrigins;
     
     const corsOrigin = allowedOrigins.includes(origin) ? origin : 'null';
     
@@ -22,35 +61,389 @@ function getCorsHeaders(origin) {
     };
 }
 
-// Function to update submission status in DynamoDB
-async function updateSubmissionStatus(submissionId, status, webhookData) {
+// Function to read a header regardless of the casing API Gateway passes through
+function getHeader(headers, name) {
+    const match = Object.keys(headers || {}).find(key => key.toLowerCase() === name.toLowerCase());
+    return match ? headers[match] : undefined;
+}
+
+// Function to get a council's webhook signing secret from SSM
+async function getSigningSecret(council) {
+    if (signingSecretCache.has(council.id)) {
+        return signingSecretCache.get(council.id).value;
+    }
+    
+    return fetchSigningSecret(council);
+}
+
+// Function to read a council's webhook signing secret from SSM and cache it
+async function fetchSigningSecret(council) {
+    const command = new GetParameterCommand({
+        Name: config.councils[council.id].webhookSecretPath,
+        WithDecryption: true
+    });
+    
+    try {
+        const response = await ssmClient.send(command);
+        signingSecretCache.set(council.id, { value: response.Parameter.Value, fetchedAt: Date.now() });
+        return response.Parameter.Value;
+    } catch (error) {
+        console.error(`Error getting webhook signing secret for ${council.id}:`, error);
+        throw error;
+    }
+}
+
+// Function to verify a callback's signature, re-reading a cached secret once in case it was rotated
+async function verifyCallbackSignature(council, rawBody, signatureHeaders) {
+    const cached = signingSecretCache.get(council.id);
+    if (verifySignature(rawBody, signatureHeaders, await getSigningSecret(council))) {
+        return true;
+    }
+    
+    if (!cached || Date.now() - cached.fetchedAt < SIGNING_SECRET_REFRESH_MS) {
+        return false;
+    }
+    
+    console.warn(`Webhook signature failed with the cached ${council.id} secret, re-reading it`);
+    const previous = cached.value;
+    const secret = await fetchSigningSecret(council);
+    return secret !== previous && verifySignature(rawBody, signatureHeaders, secret);
+}
+
+// Function to check the signature headers are present and the timestamp is fresh
+function checkSignatureHeaders(headers) {
+    const signature = getHeader(headers, 'X-Signature');
+    const timestamp = getHeader(headers, 'X-Signature-Timestamp');
+    const nonce = getHeader(headers, 'X-Signature-Nonce');
+    
+    if (!signature || !timestamp || !nonce) {
+        return { valid: false, reason: 'Missing signature headers' };
+    }
+    
+    const timestampSeconds = Number(timestamp);
+    if (!Number.isInteger(timestampSeconds)) {
+        return { valid: false, reason: 'Invalid signature timestamp' };
+    }
+    
+    const ageSeconds = Math.abs(Math.floor(Date.now() / 1000) - timestampSeconds);
+    if (ageSeconds > SIGNATURE_TOLERANCE_SECONDS) {
+        return { valid: false, reason: 'Stale signature timestamp' };
+    }
+    
+    return { valid: true, signature, timestamp, nonce };
+}
+
+// Function to verify the HMAC-SHA256 signature over timestamp, nonce and raw body
+function verifySignature(rawBody, signatureHeaders, secret) {
+    const signedPayload = `${signatureHeaders.timestamp}.${signatureHeaders.nonce}.${rawBody}`;
+    const expected = crypto.createHmac('sha256', secret).update(signedPayload, 'utf8').digest('hex');
+    const provided = signatureHeaders.signature.replace(/^sha256=/, '').toLowerCase();
+    
+    const expectedBuffer = Buffer.from(expected, 'utf8');
+    const providedBuffer = Buffer.from(provided, 'utf8');
+    if (expectedBuffer.length !== providedBuffer.length) {
+        return false;
+    }
+    return crypto.timingSafeEqual(expectedBuffer, providedBuffer);
+}
+
+// Function to record a nonce, returning false if it has already been used
+async function recordNonce(nonce, submissionId) {
+    // Nonces only need to outlive the timestamp tolerance window
+    const expiresAt = Math.floor(Date.now() / 1000) + (SIGNATURE_TOLERANCE_SECONDS * 2);
+    const params = {
+        TableName: NONCE_TABLE_NAME,
+        Item: {
+            nonce: { S: nonce },
+            submissionId: { S: submissionId },
+            receivedAt: { S: new Date().toISOString() },
+            expiresAt: { N: String(expiresAt) }
+        },
+        ConditionExpression: 'attribute_not_exists(#nonce)',
+        ExpressionAttributeNames: {
+            '#nonce': 'nonce'
+        }
+    };
+    
+    try {
+        await dynamoClient.send(new PutItemCommand(params));
+        return true;
+    } catch (error) {
+        if (error.name === 'ConditionalCheckFailedException') {
+            return false;
+        }
+        console.error('Error recording webhook nonce:', error);
+        throw error;
+    }
+}
+
+// Function to release a nonce recorded for a callback that was not applied.
+// Best effort: a nonce that can't be released just expires with its TTL.
+async function releaseNonce(nonce, submissionId) {
+    const params = {
+        TableName: NONCE_TABLE_NAME,
+        Key: {
+            nonce: { S: nonce }
+        },
+        ConditionExpression: '#submissionId = :submissionId',
+        ExpressionAttributeNames: {
+            '#submissionId': 'submissionId'
+        },
+        ExpressionAttributeValues: {
+            ':submissionId': { S: submissionId }
+        }
+    };
+    
+    try {
+        await dynamoClient.send(new DeleteItemCommand(params));
+    } catch (error) {
+        console.error(`Error releasing webhook nonce ${nonce}:`, error);
+    }
+}
+
+// Function to build the history entry stored for every callback received
+function buildCallbackEntry(webhookData, requestedStatus, applied) {
+    return {
+        M: {
+            receivedAt: { S: new Date().toISOString() },
+            requestedStatus: { S: requestedStatus },
+            applied: { BOOL: applied },
+            // Bank details are stored encrypted on the submission, never in the history
+            payload: { S: JSON.stringify(redactBankDetails(webhookData)) }
+        }
+    };
+}
+
+// Function to move a submission to a new status, guarded on the status it was read with
+async function updateSubmissionStatus(submissionId, fromStatus, toStatus, callbackEntry, extraAttributes = {}) {
     const params = {
         TableName: TABLE_NAME,
         Key: {
             submissionId: { S: submissionId }
         },
-        UpdateExpression: 'SET #status = :status, #webhookData = :webhookData, #updatedAt = :updatedAt',
+        UpdateExpression: 'SET #status = :toStatus, #updatedAt = :updatedAt, #callbackHistory = list_append(if_not_exists(#callbackHistory, :emptyList), :callback)',
+        ConditionExpression: '#status = :fromStatus',
         ExpressionAttributeNames: {
             '#status': 'status',
-            '#webhookData': 'webhookData',
-            '#updatedAt': 'updatedAt'
+            '#updatedAt': 'updatedAt',
+            '#callbackHistory': 'callbackHistory'
         },
         ExpressionAttributeValues: {
-            ':status': { S: status },
-            ':webhookData': { S: JSON.stringify(webhookData) },
-            ':updatedAt': { S: new Date().toISOString() }
+            ':fromStatus': { S: fromStatus },
+            ':toStatus': { S: toStatus },
+            ':updatedAt': { S: new Date().toISOString() },
+            ':emptyList': { L: [] },
+            ':callback': { L: [callbackEntry] }
         }
     };
     
+    // Additional attributes written in the same conditional update
+    Object.entries(extraAttributes).forEach(([name, value]) => {
+        params.UpdateExpression += `, #${name} = :${name}`;
+        params.ExpressionAttributeNames[`#${name}`] = name;
+        params.ExpressionAttributeValues[`:${name}`] = value;
+    });
+    
     try {
         await dynamoClient.send(new UpdateItemCommand(params));
-        console.log(`Updated submission ${submissionId} with status: ${status}`);
+        console.log(`Updated submission ${submissionId} from ${fromStatus} to ${toStatus}`);
+        return true;
     } catch (error) {
+        if (error.name === 'ConditionalCheckFailedException') {
+            return false;
+        }
         console.error('Error updating submission status:', error);
         throw error;
     }
 }
 
+// Function to append a callback that did not change the status to the submission's history
+async function recordCallback(submissionId, callbackEntry) {
+    const params = {
+        TableName: TABLE_NAME,
+        Key: {
+            submissionId: { S: submissionId }
+        },
+        UpdateExpression: 'SET #callbackHistory = list_append(if_not_exists(#callbackHistory, :emptyList), :callback)',
+        ExpressionAttributeNames: {
+            '#callbackHistory': 'callbackHistory'
+        },
+        ExpressionAttributeValues: {
+            ':emptyList': { L: [] },
+            ':callback': { L: [callbackEntry] }
+        }
+    };
+    
+    try {
+        await dynamoClient.send(new UpdateItemCommand(params));
+    } catch (error) {
+        console.error('Error recording callback history:', error);
+        throw error;
+    }
+}
+
+// Function to record the outcome of a confirmation email against the submission
+async function recordEmailDelivery(submissionId, delivery) {
+    const attributes = {
+        status: { S: delivery.status },
+        outcome: { S: delivery.outcome },
+        transport: { S: emailTransport.name },
+        attempts: { N: String(delivery.attempts) },
+        attemptedAt: { S: new Date().toISOString() }
+    };
+    if (delivery.messageId) {
+        attributes.messageId = { S: delivery.messageId };
+    }
+    if (delivery.error) {
+        attributes.error = { S: delivery.error };
+    }
+    
+    const params = {
+        TableName: TABLE_NAME,
+        Key: {
+            submissionId: { S: submissionId }
+        },
+        UpdateExpression: 'SET #confirmationEmail = :delivery',
+        ExpressionAttributeNames: {
+            '#confirmationEmail': 'confirmationEmail'
+        },
+        ExpressionAttributeValues: {
+            ':delivery': { M: attributes }
+        }
+    };
+    
+    try {
+        await dynamoClient.send(new UpdateItemCommand(params));
+    } catch (error) {
+        console.error('Error recording confirmation email delivery:', error);
+        throw error;
+    }
+}
+
+// Function to send the confirmation email for a verification outcome, returning the delivery status.
+// A failed send is recorded on the submission rather than failing the callback, and retried by the retry-emails run.
+async function sendConfirmationEmail(council, submission, outcome, bankDetails, collectionDate) {
+    const submissionId = submission.submissionId.S;
+    const attempts = (Number(submission.confirmationEmail?.M?.attempts?.N) || 0) + 1;
+    let delivery;
+    
+    try {
+        const message = buildConfirmationEmail(council, outcome, {
+            email: submission.email?.S,
+            customerName: submission.customerName?.S || bankDetails?.accountName,
+            customerNumber: submission.customerNumber?.S,
+            bankDetails: bankDetails,
+            firstCollectionDate: collectionDate
+        });
+        const result = await emailTransport.send({ ...message, tags: { submissionId } });
+        delivery = { status: EMAIL_STATUS.SENT, outcome, attempts, messageId: result.messageId };
+        console.log(`Sent ${outcome} confirmation email for submission ${submissionId} via ${emailTransport.name}`);
+    } catch (error) {
+        console.error(`Error sending ${outcome} confirmation email for submission ${submissionId} (attempt ${attempts}):`, error);
+        delivery = { status: EMAIL_STATUS.FAILED, outcome, attempts, error: error.message };
+    }
+    
+    try {
+        await recordEmailDelivery(submissionId, delivery);
+    } catch (error) {
+        // Already logged; the status update has been applied so the callback still succeeds
+    }
+    return delivery.status;
+}
+
+// Function to read submissions whose confirmation email failed and has attempts left, following LastEvaluatedKey
+async function getFailedEmailSubmissions() {
+    const baseParams = {
+        TableName: TABLE_NAME,
+        FilterExpression: '#confirmationEmail.#emailStatus = :failed AND (attribute_not_exists(#confirmationEmail.#attempts) OR #confirmationEmail.#attempts < :maxAttempts)',
+        ExpressionAttributeNames: {
+            '#confirmationEmail': 'confirmationEmail',
+            '#emailStatus': 'status',
+            '#attempts': 'attempts'
+        },
+        ExpressionAttributeValues: {
+            ':failed': { S: EMAIL_STATUS.FAILED },
+            ':maxAttempts': { N: String(MAX_EMAIL_ATTEMPTS) }
+        }
+    };
+    
+    const items = [];
+    let exclusiveStartKey;
+    
+    try {
+        do {
+            const result = await dynamoClient.send(new ScanCommand({ ...baseParams, ExclusiveStartKey: exclusiveStartKey }));
+            items.push(...result.Items);
+            exclusiveStartKey = result.LastEvaluatedKey;
+        } while (exclusiveStartKey);
+        
+        return items;
+    } catch (error) {
+        console.error('Error reading submissions with failed confirmation emails:', error);
+        throw error;
+    }
+}
+
+// Function to resend failed confirmation emails (scheduled with { action: 'retry-emails' })
+async function retryFailedEmails() {
+    const submissions = await getFailedEmailSubmissions();
+    console.log(`Found ${submissions.length} failed confirmation emails to retry`);
+    const results = [];
+    
+    for (const submission of submissions) {
+        const submissionId = submission.submissionId.S;
+        const outcome = submission.confirmationEmail.M.outcome?.S;
+        const council = getCouncil(submission.service?.S);
+        
+        if (!council) {
+            console.error(`Submission ${submissionId} has unknown service: ${submission.service?.S}`);
+            results.push({ submissionId, status: EMAIL_STATUS.FAILED });
+            continue;
+        }
+        
+        // An outcome the submission has since moved away from would tell the customer the wrong thing
+        if (!(EMAIL_OUTCOME_STATUSES[outcome] || []).includes(submission.status?.S)) {
+            console.warn(`Not retrying ${outcome} confirmation email for submission ${submissionId}, now '${submission.status?.S}'`);
+            try {
+                await recordEmailDelivery(submissionId, {
+                    status: EMAIL_STATUS.CANCELLED,
+                    outcome,
+                    attempts: Number(submission.confirmationEmail.M.attempts?.N) || 1,
+                    error: `Submission is now '${submission.status?.S}'`
+                });
+            } catch (error) {
+                // Already logged; it is looked at again on the next run
+            }
+            results.push({ submissionId, status: EMAIL_STATUS.CANCELLED });
+            continue;
+        }
+        
+        let bankDetails;
+        if (outcome === SUBMISSION_STATUS.APPROVED) {
+            try {
+                const details = await decryptBankDetails(kmsClient, submission);
+                bankDetails = details.accountNumber ? details : undefined;
+            } catch (error) {
+                // The email is still worth sending; the template shows the bank details as not available
+                console.error(`Error decrypting bank details for submission ${submissionId}:`, error.message);
+            }
+        }
+        
+        // The date quoted on approval, which the advance notice keeps
+        const collectionDate = outcome === SUBMISSION_STATUS.APPROVED ? submission.firstCollectionDate?.S : undefined;
+        results.push({ submissionId, status: await sendConfirmationEmail(council, submission, outcome, bankDetails, collectionDate) });
+    }
+    
+    return {
+        success: true,
+        emailsRetried: results.length,
+        emailsSent: results.filter(result => result.status === EMAIL_STATUS.SENT).length,
+        emailsFailed: results.filter(result => result.status === EMAIL_STATUS.FAILED).length,
+        emails: results,
+        timestamp: new Date().toISOString()
+    };
+}
+
 // Function to get submission from DynamoDB
 async function getSubmission(submissionId) {
     const params = {
@@ -70,7 +463,30 @@ async function getSubmission(submissionId) {
 }
 
 exports.handler = async (event) => {
-    console.log('Webhook received:', JSON.stringify(event, null, 2));
+    // Scheduled action: { action: 'retry-emails' }
+    if (event.action === 'retry-emails') {
+        try {
+            const result = await retryFailedEmails();
+            console.log('Confirmation email retry completed:', JSON.stringify(result));
+            return {
+                statusCode: 200,
+                body: JSON.stringify(result)
+            };
+        } catch (error) {
+            console.error('Confirmation email retry failed:', error);
+            return {
+                statusCode: 500,
+                body: JSON.stringify({
+                    success: false,
+                    error: error.message,
+                    timestamp: new Date().toISOString()
+                })
+            };
+        }
+    }
+    
+    // The body carries bank details, so it is only logged once redacted
+    console.log('Webhook received:', JSON.stringify({ ...event, body: '[omitted]' }, null, 2));
     
     const origin = event.headers?.origin || event.headers?.Origin;
     const corsHeaders = getCorsHeaders(origin);
@@ -86,14 +502,17 @@ exports.handler = async (event) => {
     
     try {
         let webhookData;
+        let rawBody;
         
         // Parse webhook data from POST body
         if (event.httpMethod === 'POST' && event.body) {
+            // The signature covers the exact bytes sent, so keep the raw body
+            rawBody = event.isBase64Encoded ? Buffer.from(event.body, 'base64').toString('utf8') : event.body;
             try {
-                webhookData = JSON.parse(event.body);
+                webhookData = JSON.parse(rawBody);
             } catch (parseError) {
                 // If JSON parsing fails, try URL-encoded form data
-                const params = new URLSearchParams(event.body);
+                const params = new URLSearchParams(rawBody);
                 webhookData = Object.fromEntries(params);
             }
         } else {
@@ -104,7 +523,18 @@ exports.handler = async (event) => {
             };
         }
         
-        console.log('Parsed webhook data:', webhookData);
+        // Reject unsigned or stale callbacks before touching DynamoDB
+        const signatureHeaders = checkSignatureHeaders(event.headers);
+        if (!signatureHeaders.valid) {
+            console.error(`Webhook rejected: ${signatureHeaders.reason}`);
+            return {
+                statusCode: 401,
+                headers: corsHeaders,
+                body: JSON.stringify({ error: signatureHeaders.reason })
+            };
+        }
+        
+        console.log('Parsed webhook data:', redactBankDetails(webhookData));
         
         // Extract submission ID from CustomData field
         const submissionId = webhookData.CustomData;
@@ -119,39 +549,151 @@ exports.handler = async (event) => {
         }
         
         // Check if submission exists
+        // Answered like a bad signature, so unsigned requests can't probe which submission IDs exist
         const existingSubmission = await getSubmission(submissionId);
         if (!existingSubmission) {
             console.error(`Submission not found: ${submissionId}`);
             return {
-                statusCode: 404,
+                statusCode: 401,
                 headers: corsHeaders,
-                body: JSON.stringify({ error: 'Submission not found' })
+                body: JSON.stringify({ error: 'Invalid signature' })
             };
         }
         
-        // Determine status based on verification result
-        let status;
-        if (webhookData.VerificationStatus === 'True' || webhookData.VerificationStatus === true) {
-            status = 'approved';
-            console.log(`Submission ${submissionId} approved`);
-        } else {
-            status = 'failed';
-            console.log(`Submission ${submissionId} failed verification`);
+        // Verify the signature with the secret of the council that owns the submission
+        const council = getCouncil(existingSubmission.service?.S);
+        if (!council) {
+            console.error(`Submission ${submissionId} has unknown service: ${existingSubmission.service?.S}`);
+            return {
+                statusCode: 401,
+                headers: corsHeaders,
+                body: JSON.stringify({ error: 'Invalid signature' })
+            };
+        }
+        
+        if (!(await verifyCallbackSignature(council, rawBody, signatureHeaders))) {
+            console.error(`Invalid webhook signature for submission ${submissionId}`);
+            return {
+                statusCode: 401,
+                headers: corsHeaders,
+                body: JSON.stringify({ error: 'Invalid signature' })
+            };
         }
         
-        // Update submission status in DynamoDB
-        await updateSubmissionStatus(submissionId, status, webhookData);
+        // Only record the nonce once the signature is known to be genuine
+        const isNewNonce = await recordNonce(signatureHeaders.nonce, submissionId);
+        if (!isNewNonce) {
+            console.error(`Replayed webhook nonce ${signatureHeaders.nonce} for submission ${submissionId}`);
+            return {
+                statusCode: 401,
+                headers: corsHeaders,
+                body: JSON.stringify({ error: 'Replayed callback' })
+            };
+        }
         
-        return {
-            statusCode: 200,
-            headers: corsHeaders,
-            body: JSON.stringify({
-                success: true,
-                submissionId: submissionId,
-                status: status,
-                message: `Submission ${submissionId} updated with status: ${status}`
-            })
-        };
+        // A callback that isn't applied releases its nonce, so the provider's retry isn't taken for a replay
+        try {
+            // Determine status based on verification result
+            let status;
+            if (webhookData.VerificationStatus === 'True' || webhookData.VerificationStatus === true) {
+                status = SUBMISSION_STATUS.APPROVED;
+                console.log(`Submission ${submissionId} approved`);
+            } else {
+                status = SUBMISSION_STATUS.FAILED;
+                console.log(`Submission ${submissionId} failed verification`);
+            }
+            
+            const currentStatus = existingSubmission.status?.S || SUBMISSION_STATUS.PENDING;
+            
+            // A repeated callback for the outcome already recorded is kept in history only
+            if (currentStatus === status) {
+                console.log(`Duplicate ${status} callback for submission ${submissionId}`);
+                await recordCallback(submissionId, buildCallbackEntry(webhookData, status, false));
+                return {
+                    statusCode: 200,
+                    headers: corsHeaders,
+                    body: JSON.stringify({
+                        success: true,
+                        submissionId: submissionId,
+                        status: status,
+                        duplicate: true,
+                        message: `Submission ${submissionId} already has status: ${status}`
+                    })
+                };
+            }
+            
+            if (!canTransition(currentStatus, status)) {
+                console.error('Illegal submission status transition:', JSON.stringify({
+                    submissionId,
+                    fromStatus: currentStatus,
+                    toStatus: status
+                }));
+                await recordCallback(submissionId, buildCallbackEntry(webhookData, status, false));
+                return {
+                    statusCode: 409,
+                    headers: corsHeaders,
+                    body: JSON.stringify({
+                        error: `Illegal status transition from '${currentStatus}' to '${status}'`
+                    })
+                };
+            }
+            
+            // Approved callbacks carry the verified bank details - store them encrypted
+            const extraAttributes = {};
+            let bankDetails;
+            let collectionDate;
+            if (status === SUBMISSION_STATUS.APPROVED) {
+                // Quoted in the confirmation email; the advance notice keeps it while the notice period allows
+                collectionDate = approvalCollectionDate(council);
+                extraAttributes.firstCollectionDate = { S: collectionDate };
+
+                const { details, problems } = extractBankDetails(webhookData);
+                if (problems.length > 0) {
+                    // Still approved, but the exporter will refuse the record until this is fixed
+                    console.error(`Approved submission ${submissionId} has incomplete bank details: ${problems.join(', ')}`);
+                } else {
+                    Object.assign(extraAttributes, await encryptBankDetails(kmsClient, BANK_DETAILS_KMS_KEY_ID, submissionId, details));
+                    extraAttributes.bankDetailsCapturedAt = { S: new Date().toISOString() };
+                    bankDetails = details;
+                }
+            }
+            
+            // Update submission status in DynamoDB, guarded on the status read above
+            const updated = await updateSubmissionStatus(submissionId, currentStatus, status, buildCallbackEntry(webhookData, status, true), extraAttributes);
+            if (!updated) {
+                console.error('Submission status changed concurrently:', JSON.stringify({
+                    submissionId,
+                    expectedStatus: currentStatus,
+                    toStatus: status
+                }));
+                await releaseNonce(signatureHeaders.nonce, submissionId);
+                await recordCallback(submissionId, buildCallbackEntry(webhookData, status, false));
+                return {
+                    statusCode: 409,
+                    headers: corsHeaders,
+                    body: JSON.stringify({
+                        error: `Submission ${submissionId} is no longer '${currentStatus}'`
+                    })
+                };
+            }
+            
+            const confirmationEmail = await sendConfirmationEmail(council, existingSubmission, status, bankDetails, collectionDate);
+            
+            return {
+                statusCode: 200,
+                headers: corsHeaders,
+                body: JSON.stringify({
+                    success: true,
+                    submissionId: submissionId,
+                    status: status,
+                    confirmationEmail: confirmationEmail,
+                    message: `Submission ${submissionId} updated with status: ${status}`
+                })
+            };
+        } catch (error) {
+            await releaseNonce(signatureHeaders.nonce, submissionId);
+            throw error;
+        }
         
     } catch (error) {
         console.error('Error processing webhook:', error);
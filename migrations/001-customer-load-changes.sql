@@ -0,0 +1,21 @@
+-- Customer load change log (see lambdas/csv-loader.js): one row per customer
+-- added, changed or removed by a load, so a load can be reported on and rolled
+-- back. Created with its current schema; the later migrations that alter it
+-- only change tables created by earlier versions of the loader.
+--
+-- service holds the council id and run_id a timestamp and the council id.
+
+CREATE TABLE IF NOT EXISTS customer_load_changes (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    run_id VARCHAR(100) NOT NULL,
+    change_type VARCHAR(20) NOT NULL,
+    customer_number VARCHAR(20) NOT NULL,
+    service VARCHAR(64) NOT NULL,
+    old_postcode VARCHAR(10) NULL,
+    new_postcode VARCHAR(10) NULL,
+    old_profile JSON NULL,
+    new_profile JSON NULL,
+    old_created_at TIMESTAMP NULL,
+    rolled_back_at TIMESTAMP NULL,
+    INDEX idx_run_id (run_id)
+);
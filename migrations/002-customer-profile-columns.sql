@@ -0,0 +1,11 @@
+-- Customer profile columns loaded from the council extracts (see
+-- lambdas/shared/customer-profile.js). Lengths must match PROFILE_COLUMNS;
+-- the loader refuses to run until every profile column exists.
+
+ALTER TABLE customers
+    ADD COLUMN customer_name VARCHAR(100) NULL,
+    ADD COLUMN address_line1 VARCHAR(100) NULL,
+    ADD COLUMN address_line2 VARCHAR(100) NULL,
+    ADD COLUMN address_line3 VARCHAR(100) NULL,
+    ADD COLUMN account_type VARCHAR(30) NULL,
+    ADD COLUMN balance_band VARCHAR(20) NULL;
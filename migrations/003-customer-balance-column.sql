@@ -0,0 +1,4 @@
+-- Amount owed, in pounds, used for the advance notice's instalment schedule.
+
+ALTER TABLE customers
+    ADD COLUMN balance VARCHAR(15) NULL;
@@ -0,0 +1,10 @@
+-- Widen the customer load change log's council columns, which were too narrow
+-- for council ids longer than "council-a": service holds the council id
+-- (config/councils.js keeps it within the 20-character ERP council field) and
+-- run_id a timestamp and the council id. A table created by 001 already has
+-- these widths, so this changes nothing there; it is for change logs the loader
+-- created before 001 existed.
+
+ALTER TABLE customer_load_changes
+    MODIFY COLUMN run_id VARCHAR(100) NOT NULL,
+    MODIFY COLUMN service VARCHAR(64) NOT NULL;
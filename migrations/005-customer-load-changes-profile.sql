@@ -0,0 +1,13 @@
+-- Profile columns for change logs the loader created before it recorded
+-- profiles. A table created by 001 already has them, so they are only added
+-- where missing (MySQL has no ADD COLUMN IF NOT EXISTS).
+
+SET @add_profile_columns = IF(
+    (SELECT COUNT(*) FROM information_schema.COLUMNS
+        WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'customer_load_changes' AND COLUMN_NAME = 'old_profile') = 0,
+    'ALTER TABLE customer_load_changes ADD COLUMN old_profile JSON NULL, ADD COLUMN new_profile JSON NULL',
+    'DO 0'
+);
+PREPARE add_profile_columns FROM @add_profile_columns;
+EXECUTE add_profile_columns;
+DEALLOCATE PREPARE add_profile_columns;
@@ -0,0 +1,91 @@
+#!/usr/bin/env node
+// Support utility: decrypt the eData of a verification redirect so a broken
+// link can be inspected. Reads the council's shared secret from SSM with the
+// caller's AWS credentials.
+//
+// Usage:
+//   node scripts/decrypt-edata.js [--environment prod] [--council council-a] [--at 2025-01-01T12:00:00Z] <redirect URL or eData>
+//
+// The environment defaults to the ENVIRONMENT variable. The council is worked
+// out from the redirect URL when not given. --at checks key validity as of
+// that time (e.g. when the link was issued) instead of now.
+const { SSMClient, GetParameterCommand } = require('@aws-sdk/client-ssm');
+const { getCouncil, listCouncils } = require('../config/councils');
+const { parseSharedSecret, decryptEData } = require('../lambdas/shared/edata-crypto');
+const { loadConfig } = require('../lambdas/shared/environment-config');
+
+// Function to parse the command line arguments
+function parseArguments(argv) {
+    const options = {};
+    const positional = [];
+
+    for (let i = 0; i < argv.length; i++) {
+        if (['--environment', '--council', '--at'].includes(argv[i])) {
+            options[argv[i].slice(2)] = argv[++i];
+        } else {
+            positional.push(argv[i]);
+        }
+    }
+
+    if (positional.length !== 1) {
+        throw new Error('Usage: decrypt-edata.js [--environment <name>] [--council <id>] [--at <ISO time>] <redirect URL or eData>');
+    }
+    return { ...options, input: positional[0] };
+}
+
+// Function to split the input into eData and the council whose verification URL it was sent to
+function resolveInput(config, input, councilId) {
+    let eData = input;
+    let council = councilId ? getCouncil(councilId) : null;
+
+    if (/^https?:\/\//.test(input)) {
+        const url = new URL(input);
+        eData = url.searchParams.get('eData');
+        if (!eData) {
+            throw new Error('Redirect URL has no eData parameter');
+        }
+
+        const baseUrl = `${url.origin}${url.pathname}`;
+        council = council || listCouncils().find(candidate =>
+            Object.values(config.councils[candidate.id].redirectTemplates).some(template => template.baseUrl === baseUrl));
+    }
+
+    if (!council) {
+        throw new Error(councilId ? `Unknown council '${councilId}'` : 'Could not tell the council from the input; pass --council');
+    }
+    return { eData, council };
+}
+
+async function main() {
+    const options = parseArguments(process.argv.slice(2));
+    const config = loadConfig(options.environment || process.env.ENVIRONMENT);
+    const { eData, council } = resolveInput(config, options.input, options.council);
+
+    const now = options.at ? Date.parse(options.at) : Date.now();
+    if (Number.isNaN(now)) {
+        throw new Error(`Invalid --at time '${options.at}'`);
+    }
+
+    const ssmClient = new SSMClient({ region: config.region });
+    const response = await ssmClient.send(new GetParameterCommand({
+        Name: config.councils[council.id].sharedSecretPath,
+        WithDecryption: true
+    }));
+
+    const keySet = parseSharedSecret(response.Parameter.Value);
+    const result = decryptEData(keySet, eData, council.encryption?.mode || 'cbc', now);
+
+    console.log(`Environment: ${config.environment}`);
+    console.log(`Council:     ${council.id}`);
+    console.log(`Key:         ${result.keyId || 'legacy'}`);
+    console.log(`Mode:        ${result.mode}`);
+    console.log('Parameters:');
+    for (const [name, value] of new URLSearchParams(result.plaintext)) {
+        console.log(`  ${name} = ${value}`);
+    }
+}
+
+main().catch(error => {
+    console.error(error.message);
+    process.exitCode = 1;
+});